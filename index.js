@@ -7,6 +7,21 @@ require('dotenv').config(); // Ensure dotenv is configured early
 const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
 const admin = require('firebase-admin'); // Use Firebase Admin SDK
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { reconcileSeats } = require('./jobs/reconcileSeats');
+const { importCourses } = require('./jobs/importCourses');
+const { writeExport } = require('./jobs/exportData');
+const { renderCertificateSvg } = require('./utils/renderCertificate');
+const { parseDurationWeeks } = require('./utils/duration');
+const { csvRow, parseCsv } = require('./utils/csv');
+const { PERMISSIONS, BUILT_IN_ROLES, COLLABORATOR_ACTIONS, ROLE_NAME_PATTERN, isKnownPermission, roleAllows } = require('./utils/policy');
+const { createValidator, buildOpenApiDocument } = require('./utils/validation');
+const { createMemoryStore, createRedisStore, createRateLimiter, parseRateLimit, byIp, byUser } = require('./utils/rateLimit');
+const { MAIL_TRANSPORTS, createMailTransport } = require('./utils/mailer');
+const { NOTIFICATION_TYPES, NOTIFICATION_TYPE_NAMES, resolveEmailPreferences, renderNotificationEmail } = require('./utils/notifications');
+const { buildSaleEntry, buildRefundEntry, formatCents } = require('./utils/ledger');
+const { ROUTE_SCHEMAS } = require('./schemas/routes');
+const { version } = require('./package.json');
 
 // --- Stripe Initialization with check ---
 let stripe;
@@ -15,11 +30,17 @@ if (process.env.STRIPE_SECRET_KEY) {
     console.log("✅ Stripe Initialized.");
 } else {
     console.warn("⚠️ Stripe Secret Key not found. Payment routes will be disabled.");
-    stripe = { paymentIntents: { create: () => Promise.reject(new Error("Stripe not configured.")) } };
+    stripe = {
+        paymentIntents: { create: () => Promise.reject(new Error("Stripe not configured.")) },
+        refunds: { create: () => Promise.reject(new Error("Stripe not configured.")) },
+        webhooks: require('stripe').webhooks // Signature checks work without an API key
+    };
 }
 
 const app = express();
 const port = process.env.PORT || 3000;
+// validate('METHOD /path') checks a route's params, query and body against schemas/routes.js
+const validate = createValidator(ROUTE_SCHEMAS);
 
 // --- CORS Configuration ---
 app.use(cors({
@@ -28,11 +49,71 @@ app.use(cors({
         'http://localhost:5173', // For local development
         'https://coursehub-7fd47.web.app' // Add your live frontend URL directly
     ],
-    credentials: true
+    credentials: true,
+    // Let the frontend read rate-limit state and request ids
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'X-Request-Id']
 }));
 
+// Behind one proxy hop (Vercel) so req.ip is the client address
+app.set('trust proxy', 1);
+
 app.use(cookieParser());
-app.use(express.json());
+// Tag each request so audit entries and logs can be tied together. The id is always our own;
+// a caller's X-Request-Id is kept separately (and untrusted) for correlating with their logs.
+app.use((req, res, next) => {
+    req.id = crypto.randomUUID();
+    req.clientRequestId = req.get('X-Request-Id')?.slice(0, 128) || null;
+    res.set('X-Request-Id', req.id);
+    next();
+});
+
+// --- Rate Limiting ---
+// Counts live in Redis when REDIS_URL is set (shared by every instance), otherwise in memory.
+// Limits are "max/windowSeconds" env values; "0" turns one off.
+let rateLimitStore = createMemoryStore();
+if (process.env.REDIS_URL) {
+    const { createClient } = require('redis');
+    const redisClient = createClient({ url: process.env.REDIS_URL });
+    redisClient.on('error', err => console.error("❌ Redis error:", err));
+    redisClient.connect()
+        .then(() => console.log("✅ Redis connected for rate limiting."))
+        .catch(err => console.error("❌ Redis connection failed; rate limits are not enforced until it connects:", err));
+    rateLimitStore = createRedisStore(redisClient);
+}
+const rateLimit = (name, envValue, defaults, options) => createRateLimiter(rateLimitStore, { name, ...parseRateLimit(envValue, defaults), ...options });
+
+// Stripe retries webhooks from a handful of IPs, so they aren't counted
+const apiRateLimit = rateLimit('api', process.env.RATE_LIMIT_API, { max: 300, windowSeconds: 60 }, {
+    keyBy: req => (req.path.startsWith('/webhooks/') ? null : byIp(req))
+});
+const authRateLimit = rateLimit('auth', process.env.RATE_LIMIT_AUTH, { max: 30, windowSeconds: 15 * 60 }, {
+    message: 'Too many sign-in attempts, please try again later'
+});
+// Only catalog requests that actually search are counted
+const searchRateLimit = rateLimit('search', process.env.RATE_LIMIT_SEARCH, { max: 30, windowSeconds: 60 }, {
+    keyBy: req => (req.query.search ? byIp(req) : null)
+});
+const reviewRateLimit = rateLimit('reviews', process.env.RATE_LIMIT_REVIEWS, { max: 10, windowSeconds: 60 * 60 }, { keyBy: byUser });
+// Payment intents hit Stripe, so they're limited per user and per IP
+const paymentUserRateLimit = rateLimit('payment-user', process.env.RATE_LIMIT_PAYMENT, { max: 5, windowSeconds: 10 * 60 }, { keyBy: byUser });
+const paymentIpRateLimit = rateLimit('payment-ip', process.env.RATE_LIMIT_PAYMENT_IP, { max: 20, windowSeconds: 10 * 60 });
+
+app.use(apiRateLimit);
+// Bulk imports bring their own parsers with a larger size limit
+const MAX_IMPORT_BODY = '5mb';
+const MAX_IMPORT_ROWS = 5000;
+const isImportRoute = (req) => req.originalUrl.startsWith('/admin/import/');
+const importBodyParsers = [
+    express.json({ limit: MAX_IMPORT_BODY }),
+    express.text({ type: ['text/csv', 'text/plain'], limit: MAX_IMPORT_BODY })
+];
+// Keep the raw body for webhook routes so signatures can be verified
+app.use(express.json({
+    type: (req) => !isImportRoute(req) && !!req.is('application/json'),
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/webhooks/')) req.rawBody = buf;
+    }
+}));
 
 // --- Correct Firebase Admin Initialization ---
 try {
@@ -61,22 +142,116 @@ const client = new MongoClient(uri, {
 // --- Global variable for DB connection status ---
 let isDbConnected = false;
 let db, coursesCollection, usersCollection, enrollmentsCollection, reviewsCollection;
+let paymentsCollection, stripeEventsCollection, waitlistCollection;
+let sectionsCollection, lessonsCollection, progressCollection, certificatesCollection;
+let couponsCollection, couponRedemptionsCollection, refundRequestsCollection, categoriesCollection;
+let reviewReportsCollection, auditLogsCollection, sessionsCollection;
+let instructorApplicationsCollection, instructorProfilesCollection, rolesCollection, notificationsCollection;
+let ledgerCollection, payoutsCollection, cohortsCollection, enrollmentLocksCollection, enrollmentRevocationsCollection;
+
+// --- Sessions ---
+// The `token` cookie is a short-lived access JWT carrying the session id (`sid`). The `refreshToken`
+// cookie is an opaque token whose hash is stored on the session and rotated on every refresh.
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const authCookieOptions = (maxAge) => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict',
+    path: '/',
+    ...(maxAge ? { maxAge } : {})
+});
+
+const clearAuthCookies = (res) => {
+    res.clearCookie('token', authCookieOptions());
+    res.clearCookie('refreshToken', authCookieOptions());
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const setAuthCookies = (res, { email, uid, sessionId, refreshToken }) => {
+    const accessToken = jwt.sign({ email, uid, sid: sessionId.toString() }, process.env.JWT_SECRET, { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` });
+    res.cookie('token', accessToken, authCookieOptions(ACCESS_TOKEN_TTL_MINUTES * 60 * 1000));
+    res.cookie('refreshToken', refreshToken, authCookieOptions(REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000));
+};
+
+const createSession = async (req, { email, uid }) => {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const { insertedId } = await sessionsCollection.insertOne({
+        userEmail: email, uid, refreshTokenHash: hashToken(refreshToken), previousTokenHash: null,
+        userAgent: req.get('User-Agent') || null, ip: req.ip || null,
+        createdAt: now, lastUsedAt: now, expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        revokedAt: null, revokedReason: null
+    });
+    return { sessionId: insertedId, refreshToken };
+};
+
+// Returns the rotated session, or null. Presenting a refresh token that was already rotated
+// means it leaked (or was replayed), so the whole session is revoked.
+const rotateSession = async (req, refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = crypto.randomBytes(32).toString('base64url');
+    const session = await sessionsCollection.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextToken), previousTokenHash: tokenHash,
+                lastUsedAt: new Date(), ip: req.ip || null, userAgent: req.get('User-Agent') || null
+            }
+        },
+        { returnDocument: 'after' }
+    );
+    if (session) return { session, refreshToken: nextToken };
+    await sessionsCollection.updateOne(
+        { previousTokenHash: tokenHash, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+    );
+    return null;
+};
+
+const revokeSessions = (filter, reason) => sessionsCollection.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+const isSessionActive = async (sid) => {
+    if (!sid || !ObjectId.isValid(sid)) return false;
+    return !!(await sessionsCollection.findOne({ _id: new ObjectId(sid), revokedAt: null }, { projection: { _id: 1 } }));
+};
 
 // --- Middleware ---
 
-// JWT Verification Middleware
+// JWT Verification Middleware (also rejects tokens whose session was revoked)
 const verifyJWT = (req, res, next) => {
     const token = req.cookies.token;
     if (!token) {
         return res.status(401).send({ error: true, message: 'Unauthorized: No token provided.' });
     }
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
         if (err) {
+            res.clearCookie('token', authCookieOptions());
+            // Expired access tokens are routine; the client should call /auth/refresh and retry
+            if (err.name === 'TokenExpiredError') {
+                return res.status(401).send({ error: true, code: 'token_expired', message: 'Unauthorized: Access token expired.' });
+            }
             console.error("❌ JWT Verification Error:", err.message);
-            res.clearCookie('token', { httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict', path: '/' });
             return res.status(403).send({ error: true, message: 'Forbidden: Invalid or expired token.' });
         }
-        req.decoded = decoded; // Contains { email, uid }
+        if (!isDbConnected || !sessionsCollection) {
+            return res.status(503).send({ error: true, message: 'Service temporarily unavailable. Please try again shortly.' });
+        }
+        try {
+            if (!(await isSessionActive(decoded.sid))) {
+                clearAuthCookies(res);
+                return res.status(401).send({ error: true, code: 'session_revoked', message: 'Unauthorized: Session has ended.' });
+            }
+        } catch (dbErr) {
+            console.error("❌ Error checking session:", dbErr);
+            return res.status(500).send({ error: true, message: 'Server error checking session.' });
+        }
+        req.decoded = decoded; // Contains { email, uid, sid }
         next();
     });
 };
@@ -92,6 +267,29 @@ const checkDbConnection = (req, res, next) => {
     usersCollection = db.collection('users');
     enrollmentsCollection = db.collection('enrollments');
     reviewsCollection = db.collection('reviews');
+    paymentsCollection = db.collection('payments');
+    stripeEventsCollection = db.collection('stripe_events');
+    waitlistCollection = db.collection('waitlist');
+    sectionsCollection = db.collection('sections');
+    lessonsCollection = db.collection('lessons');
+    progressCollection = db.collection('progress');
+    certificatesCollection = db.collection('certificates');
+    couponsCollection = db.collection('coupons');
+    couponRedemptionsCollection = db.collection('coupon_redemptions');
+    refundRequestsCollection = db.collection('refund_requests');
+    categoriesCollection = db.collection('categories');
+    reviewReportsCollection = db.collection('review_reports');
+    auditLogsCollection = db.collection('audit_logs');
+    sessionsCollection = db.collection('sessions');
+    instructorApplicationsCollection = db.collection('instructor_applications');
+    instructorProfilesCollection = db.collection('instructor_profiles');
+    rolesCollection = db.collection('roles');
+    notificationsCollection = db.collection('notifications');
+    ledgerCollection = db.collection('earnings_ledger');
+    payoutsCollection = db.collection('payouts');
+    cohortsCollection = db.collection('cohorts');
+    enrollmentLocksCollection = db.collection('enrollment_locks');
+    enrollmentRevocationsCollection = db.collection('enrollment_revocations');
     next();
 };
 
@@ -103,6 +301,7 @@ const getUserRole = async (req, res, next) => {
     try {
         const user = await usersCollection.findOne({ email: req.decoded.email });
         req.userRole = user?.role || 'student';
+        req.permissions = await getRolePermissions(req.userRole);
         next();
     } catch (dbErr) {
         console.error("❌ Error fetching user role:", dbErr);
@@ -120,18 +319,24 @@ const getRoleIfAuthenticated = async (req, res, next) => {
     jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
         if (err) {
             req.userRole = 'guest';
-            res.clearCookie('token', { httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict', path: '/' });
+            res.clearCookie('token', authCookieOptions());
             return next();
         }
-        req.decoded = decoded;
         try {
             if (!isDbConnected || !usersCollection) {
                  console.error("❌ DB not connected for getRoleIfAuthenticated");
                  req.userRole = 'guest';
                  return next();
             }
+            // A revoked session browses as a guest
+            if (!(await isSessionActive(decoded.sid))) {
+                 req.userRole = 'guest';
+                 return next();
+            }
+            req.decoded = decoded;
             const user = await usersCollection.findOne({ email: req.decoded.email });
             req.userRole = user?.role || 'student';
+            req.permissions = await getRolePermissions(req.userRole);
             next();
         } catch (dbErr) {
             console.error("❌ Error fetching user role (getRoleIfAuthenticated):", dbErr);
@@ -141,411 +346,3800 @@ const getRoleIfAuthenticated = async (req, res, next) => {
     });
 };
 
-// Middleware to Verify Admin Role
-const verifyAdmin = (req, res, next) => {
-    if (req.userRole !== 'admin') {
-        return res.status(403).send({ error: true, message: 'Forbidden: Requires Admin role.' });
+// --- Authorization Policy ---
+// Roles map to permissions (utils/policy.js). Built-in roles live in code; custom roles are
+// read from the `roles` collection and cached briefly.
+const ROLE_CACHE_MS = 60 * 1000;
+const customRoleCache = new Map();
+
+const getRolePermissions = async (roleName) => {
+    if (Object.hasOwn(BUILT_IN_ROLES, roleName)) return BUILT_IN_ROLES[roleName];
+    if (!roleName || roleName === 'guest' || !rolesCollection) return [];
+    const cached = customRoleCache.get(roleName);
+    if (cached && Date.now() - cached.loadedAt < ROLE_CACHE_MS) return cached.permissions;
+    const role = await rolesCollection.findOne({ name: roleName });
+    const permissions = role?.permissions || [];
+    customRoleCache.set(roleName, { permissions, loadedAt: Date.now() });
+    return permissions;
+};
+
+const can = (req, permission) => roleAllows(req.permissions, permission);
+
+// Owners can use every `:own` permission on their course; collaborators only the COLLABORATOR_ACTIONS
+const isCourseMember = (course, email, action) => (
+    course.instructorEmail === email ||
+    (COLLABORATOR_ACTIONS.includes(action) && (course.collaborators || []).some(c => c.email === email))
+);
+
+const canOnCourse = (req, course, action) => (
+    can(req, `${action}:any`) ||
+    (can(req, `${action}:own`) && !!req.decoded?.email && isCourseMember(course, req.decoded.email, action))
+);
+
+// Middleware: require a permission (Use AFTER getUserRole)
+const requirePermission = (permission) => (req, res, next) => {
+    if (!can(req, permission)) {
+        return res.status(403).send({ error: true, message: `Forbidden: Requires ${permission} permission.` });
     }
     next();
 };
 
-// Middleware to Verify Instructor Role (or Admin)
-const verifyInstructor = (req, res, next) => {
-    if (req.userRole !== 'instructor' && req.userRole !== 'admin') {
-        return res.status(403).send({ error: true, message: 'Forbidden: Requires Instructor or Admin role.' });
+// Middleware: load the :id course into req.course and require `<action>:any`, or `<action>:own` on this course
+const requireCoursePermission = (action) => async (req, res, next) => {
+    if (!can(req, `${action}:own`)) {
+        return res.status(403).send({ error: true, message: `Forbidden: Requires ${action} permission.` });
+    }
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+    try {
+        const course = await coursesCollection.findOne({ _id: new ObjectId(id) });
+        if (!course) return res.status(404).json({ error: 'Course not found' });
+        if (!canOnCourse(req, course, action)) return res.status(403).json({ error: 'Forbidden: Not your course' });
+        req.course = course;
+        next();
+    } catch (dbErr) {
+        console.error("❌ Error checking course permission:", dbErr);
+        res.status(500).json({ error: 'Server error checking course permission.' });
     }
-    next();
 };
 
-// --- Main Async Function to Setup DB and Routes ---
-async function run() {
+// --- Indexes ---
+// Runs in the background so a slow cluster doesn't block startup.
+const ensureIndexes = () => {
+    Promise.all([
+        coursesCollection.createIndex(
+            { courseTitle: 'text', description: 'text' },
+            { name: 'course_text_search', weights: { courseTitle: 10, description: 2 } }
+        ),
+        coursesCollection.createIndex({ status: 1, createdAt: -1 }),
+        coursesCollection.createIndex({ enrollmentCount: -1 }),
+        coursesCollection.createIndex({ categoryId: 1 }),
+        coursesCollection.createIndex({ tags: 1 }),
+        categoriesCollection.createIndex({ slug: 1 }, { unique: true }),
+        reviewsCollection.createIndex({ courseObjectId: 1, status: 1, createdAt: -1 }),
+        reviewReportsCollection.createIndex({ reviewId: 1, reporterEmail: 1 }, { unique: true }),
+        reviewReportsCollection.createIndex({ status: 1, createdAt: 1 }),
+        auditLogsCollection.createIndex({ createdAt: -1 }),
+        sessionsCollection.createIndex({ refreshTokenHash: 1 }, { unique: true }),
+        sessionsCollection.createIndex({ previousTokenHash: 1 }),
+        sessionsCollection.createIndex({ userEmail: 1, revokedAt: 1 }),
+        sessionsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+        // One open application per user
+        instructorApplicationsCollection.createIndex({ userEmail: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } }),
+        instructorApplicationsCollection.createIndex({ status: 1, createdAt: 1 }),
+        instructorProfilesCollection.createIndex({ userEmail: 1 }, { unique: true }),
+        usersCollection.createIndex({ deletionScheduledFor: 1 }, { partialFilterExpression: { deletionScheduledFor: { $type: 'date' } } }),
+        rolesCollection.createIndex({ name: 1 }, { unique: true }),
+        notificationsCollection.createIndex({ userEmail: 1, createdAt: -1 }),
+        notificationsCollection.createIndex({ userEmail: 1, readAt: 1 }),
+        // One sale per PaymentIntent, and one refund entry per Stripe running total
+        ledgerCollection.createIndex({ paymentIntentId: 1, type: 1, refundedToDateCents: 1 }, { unique: true }),
+        ledgerCollection.createIndex({ instructorEmail: 1, createdAt: -1 }),
+        ledgerCollection.createIndex({ payoutId: 1, instructorEmail: 1 }),
+        payoutsCollection.createIndex({ instructorEmail: 1, paidAt: -1 }),
+        enrollmentRevocationsCollection.createIndex({ userEmail: 1, revokedAt: -1 }),
+        // Date-range scans for /admin/stats
+        usersCollection.createIndex({ createdAt: 1 }),
+        enrollmentsCollection.createIndex({ enrolledAt: 1 }),
+        ledgerCollection.createIndex({ createdAt: 1 }),
+        coursesCollection.createIndex({ 'collaborators.email': 1 }),
+        coursesCollection.createIndex({ externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }),
+        auditLogsCollection.createIndex({ actorEmail: 1, createdAt: -1 }),
+        auditLogsCollection.createIndex({ action: 1, createdAt: -1 }),
+        coursesCollection.createIndex({ purgeAfter: 1 }, { partialFilterExpression: { purgeAfter: { $type: 'date' } } }),
+        paymentsCollection.createIndex({ paymentIntentId: 1 }, { unique: true }),
+        enrollmentsCollection.createIndex({ userEmail: 1, courseId: 1 }, { unique: true }),
+        enrollmentsCollection.createIndex({ courseId: 1, cohortId: 1 }),
+        cohortsCollection.createIndex({ courseId: 1, startDate: 1 }),
+        waitlistCollection.createIndex({ courseId: 1, userEmail: 1 }, { unique: true }),
+        waitlistCollection.createIndex({ courseId: 1, status: 1, position: 1 }),
+        sectionsCollection.createIndex({ courseId: 1, order: 1 }),
+        lessonsCollection.createIndex({ courseId: 1, sectionId: 1, order: 1 }),
+        progressCollection.createIndex({ userEmail: 1, courseId: 1 }, { unique: true }),
+        certificatesCollection.createIndex({ certificateId: 1 }, { unique: true }),
+        certificatesCollection.createIndex({ userEmail: 1, courseId: 1 }, { unique: true }),
+        couponsCollection.createIndex({ code: 1 }, { unique: true }),
+        couponRedemptionsCollection.createIndex({ couponId: 1, userEmail: 1 }),
+        couponRedemptionsCollection.createIndex(
+            { paymentIntentId: 1 }, { unique: true, partialFilterExpression: { paymentIntentId: { $type: 'string' } } }
+        ),
+        refundRequestsCollection.createIndex({ paymentIntentId: 1 }),
+        refundRequestsCollection.createIndex({ status: 1, createdAt: -1 }),
+    ]).catch(err => console.error("❌ Error creating indexes:", err));
+};
+
+// --- Course Catalog ---
+// Every sort ends on _id so ties keep a stable order and pages don't repeat or skip courses
+const CATALOG_SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    popular: { enrollmentCount: -1, createdAt: -1, _id: -1 },
+    rating: { averageRating: -1, reviewCount: -1, _id: -1 },
+    price_asc: { price: 1, createdAt: -1, _id: -1 },
+    price_desc: { price: -1, createdAt: -1, _id: -1 },
+};
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// Reads an optional non-negative number from the query string; NaN means invalid
+const parseNumberParam = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const num = Number(value);
+    return Number.isFinite(num) && num >= 0 ? num : NaN;
+};
+
+// Turns GET /courses query params into { filter, sort, page, limit, paginated }, or { error } on bad input.
+// `paginated` is false when neither `page` nor `limit` was given.
+// Search uses the course text index, so user input is never compiled into a regex.
+// `categoryIds` is the already-resolved category (and its descendants) to restrict to.
+// `cohortAvailability` (from getCohortAvailability) is needed for `available=true`: a course with
+// cohorts is available when one of them is open, whatever its own `seats` say.
+const buildCatalogQuery = (params, canViewUnpublished, { categoryIds, cohortAvailability } = {}) => {
+    const { instructorEmail, search, price, available, tag } = params;
+    const minPrice = parseNumberParam(params.minPrice);
+    const maxPrice = parseNumberParam(params.maxPrice);
+    const minWeeks = parseNumberParam(params.minWeeks);
+    const maxWeeks = parseNumberParam(params.maxWeeks);
+    const minRating = parseNumberParam(params.minRating);
+    const page = parseNumberParam(params.page) ?? 1;
+    const limit = parseNumberParam(params.limit) ?? DEFAULT_PAGE_SIZE;
+    if ([minPrice, maxPrice, minWeeks, maxWeeks, minRating, page, limit].some(Number.isNaN)) {
+        return { error: 'Numeric filters must be non-negative numbers' };
+    }
+    if (!Number.isInteger(page) || page < 1) return { error: 'Invalid page' };
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) return { error: `Limit must be 1-${MAX_PAGE_SIZE}` };
+    if (price !== undefined && !['free', 'paid'].includes(price)) return { error: 'Price must be free or paid' };
+
+    // Archived courses never show up in the catalog
+    const conditions = [{ deletedAt: null }];
+    // Everyone else sees 'approved' OR courses with NO status field
+    if (!canViewUnpublished) {
+        conditions.push({ $or: [{ status: 'approved' }, { status: { $exists: false } }] });
+    }
+    if (instructorEmail && instructorEmail !== 'null' && instructorEmail !== 'undefined') {
+        conditions.push({ instructorEmail });
+    }
+    if (price === 'free') conditions.push({ $or: [{ price: 0 }, { price: { $exists: false } }] });
+    if (price === 'paid') conditions.push({ price: { $gt: 0 } });
+    if (minPrice !== undefined) conditions.push({ price: { $gte: minPrice } });
+    if (maxPrice !== undefined) conditions.push({ price: { $lte: maxPrice } });
+    if (minWeeks !== undefined) conditions.push({ durationWeeks: { $gte: minWeeks } });
+    if (maxWeeks !== undefined) conditions.push({ durationWeeks: { $lte: maxWeeks } });
+    if (minRating !== undefined) conditions.push({ averageRating: { $gte: minRating } });
+    if (available === 'true') {
+        const { cohortCourseIds = [], openCohortCourseIds = [] } = cohortAvailability || {};
+        conditions.push({ $or: [
+            { seats: { $gt: 0 }, _id: { $nin: cohortCourseIds } },
+            { _id: { $in: openCohortCourseIds } }
+        ] });
+    }
+    if (categoryIds) conditions.push({ categoryId: { $in: categoryIds } });
+    if (typeof tag === 'string' && tag.trim()) {
+        conditions.push({ tags: { $all: tag.split(',').map(t => t.trim().toLowerCase()).filter(Boolean) } });
+    }
+
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+    const trimmedSearch = typeof search === 'string' ? search.trim() : '';
+    if (trimmedSearch) filter.$text = { $search: trimmedSearch }; // $text must sit at the top level
+
+    const sortKey = params.sort || (trimmedSearch ? 'relevance' : 'newest');
+    if (sortKey !== 'relevance' && !CATALOG_SORTS[sortKey]) return { error: 'Invalid sort' };
+    const sort = sortKey === 'relevance' && trimmedSearch
+        ? { relevance: -1, createdAt: -1, _id: -1 }
+        : CATALOG_SORTS[sortKey] || CATALOG_SORTS.newest;
+    const paginated = params.page !== undefined || params.limit !== undefined;
+    return { filter, sort, page, limit, paginated, search: trimmedSearch };
+};
+
+// Price buckets for the catalog facets: [0, 0.01) is free, anything from 100 up falls in the default
+const PRICE_BUCKET_LABELS = { 0: 'free', 0.01: 'under_50', 50: '50_to_100', over: '100_plus' };
+
+// Runs a catalog query, returning one page of courses plus facet counts over everything matched
+const runCatalogQuery = async ({ filter, sort, page, limit, search }) => {
+    const pipeline = [
+        { $match: filter },
+        ...(search ? [{ $addFields: { relevance: { $meta: 'textScore' } } }] : []),
+        { $sort: sort },
+        { $facet: {
+            courses: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: COURSE_REVIEW_FIELDS_PROJECTION }],
+            total: [{ $count: 'count' }],
+            categories: [
+                { $match: { categoryId: { $type: 'objectId' } } },
+                { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+            ],
+            tags: [
+                { $unwind: '$tags' },
+                { $group: { _id: '$tags', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+                { $limit: 50 }
+            ],
+            priceBuckets: [
+                { $bucket: {
+                    groupBy: { $ifNull: ['$price', 0] }, boundaries: [0, 0.01, 50, 100],
+                    default: 'over', output: { count: { $sum: 1 } }
+                }}
+            ]
+        }}
+    ];
+    const [result] = await coursesCollection.aggregate(pipeline).toArray();
+    const categories = await categoriesCollection.find({}).project({ name: 1, slug: 1 }).toArray();
+    const total = result.total[0]?.count || 0;
+    return {
+        courses: result.courses, total, page, limit, totalPages: Math.ceil(total / limit),
+        facets: {
+            categories: result.categories.map(row => {
+                const category = categories.find(c => c._id.equals(row._id));
+                return { categoryId: row._id, name: category?.name || null, slug: category?.slug || null, count: row.count };
+            }),
+            tags: result.tags.map(row => ({ tag: row._id, count: row.count })),
+            price: result.priceBuckets.map(row => ({ bucket: PRICE_BUCKET_LABELS[row._id], count: row.count }))
+        }
+    };
+};
+
+// Every matching course as one array: what GET /courses returned before it had paging, kept for
+// clients that don't pass `page` or `limit`
+const listCatalogCourses = ({ filter, sort, search }) => coursesCollection.aggregate([
+    { $match: filter },
+    ...(search ? [{ $addFields: { relevance: { $meta: 'textScore' } } }] : []),
+    { $sort: sort },
+    { $project: COURSE_REVIEW_FIELDS_PROJECTION }
+]).toArray();
+
+// --- Categories & Tags ---
+// Categories are admin-managed and nest through `parentId`; tags are free-form, set by instructors.
+const MAX_TAGS_PER_COURSE = 10;
+
+const slugify = (value) => String(value).toLowerCase().trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Lowercases, trims and de-duplicates tags. Returns { tags } or { error }.
+const parseTags = (tags) => {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) return { error: 'Tags must be an array of strings' };
+    const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    if (normalized.length > MAX_TAGS_PER_COURSE) return { error: `At most ${MAX_TAGS_PER_COURSE} tags` };
+    if (normalized.some(tag => tag.length > 30)) return { error: 'Tags must be 30 characters or fewer' };
+    return { tags: normalized };
+};
+
+// Ids of the category with this slug and all of its descendants, or null for an unknown slug
+const getCategoryFamilyIds = async (slug) => {
+    const categories = await categoriesCollection.find({}).project({ slug: 1, parentId: 1 }).toArray();
+    const root = categories.find(category => category.slug === slug);
+    if (!root) return null;
+    const ids = [root._id];
+    for (let i = 0; i < ids.length; i++) {
+        categories.filter(category => category.parentId?.equals(ids[i])).forEach(category => ids.push(category._id));
+    }
+    return ids;
+};
+
+// Checks a categoryId from a course payload. Returns { categoryId } (null clears it) or { error }.
+const resolveCategoryId = async (categoryId) => {
+    if (categoryId === null || categoryId === '') return { categoryId: null };
+    if (!ObjectId.isValid(categoryId)) return { error: 'Invalid categoryId' };
+    const category = await categoriesCollection.findOne({ _id: new ObjectId(categoryId) });
+    if (!category) return { error: 'Category not found' };
+    return { categoryId: category._id };
+};
+
+// --- Course Approval ---
+// Edits to these fields on an approved course wait for admin review as a `pendingRevision`;
+// anything else (e.g. seats) applies immediately.
+const MATERIAL_COURSE_FIELDS = ['courseTitle', 'image', 'description', 'price', 'duration', 'categoryId', 'tags'];
+const COURSE_REVIEW_FIELDS_PROJECTION = { pendingRevision: 0, statusHistory: 0, lastRevisionFeedback: 0, reviewedBy: 0, reviewedAt: 0 };
+
+const courseHistoryEntry = (action, status, actor, role, note = null) => ({ action, status, actor, role, note, at: new Date() });
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// --- Course Archiving ---
+// DELETE /courses/:id archives a course; `npm run purge:courses` removes it for good after the retention period
+const COURSE_RETENTION_DAYS = parseInt(process.env.COURSE_RETENTION_DAYS, 10) || 30;
+
+// Archived courses stay reachable for the people who already have access to them
+const canSeeArchivedCourse = async (req, course) => (
+    can(req, 'course:view:any') || canOnCourse(req, course, 'course:edit') ||
+    (!!req.decoded?.email && await isEnrolled(req.decoded.email, course._id.toString()))
+);
+
+// --- Reviews ---
+// Hidden reviews (by moderation) are left out of every rating figure. Reviews created before
+// moderation existed have no `status`, so they count as visible.
+const VISIBLE_REVIEW_FILTER = { status: { $ne: 'hidden' } };
+const REVIEW_REPORT_HIDE_THRESHOLD = parseInt(process.env.REVIEW_REPORT_HIDE_THRESHOLD, 10) || 3;
+const REVIEW_SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    helpful: { helpfulCount: -1, createdAt: -1, _id: -1 },
+    rating_high: { rating: -1, createdAt: -1, _id: -1 },
+    rating_low: { rating: 1, createdAt: -1, _id: -1 },
+};
+
+// Count of visible reviews per star, 1-5 (fractional ratings round to the nearest star)
+const getRatingHistogram = async (courseObjectId) => {
+    const rows = await reviewsCollection.aggregate([
+        { $match: { courseObjectId, ...VISIBLE_REVIEW_FILTER } },
+        { $group: { _id: { $toInt: { $round: ['$rating', 0] } }, count: { $sum: 1 } } }
+    ]).toArray();
+    const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    rows.forEach(row => { if (histogram[row._id] !== undefined) histogram[row._id] = row.count; });
+    return histogram;
+};
+
+// Keeps the denormalized rating fields on the course in step with its visible reviews
+const refreshCourseRating = async (courseObjectId) => {
+    const [stats] = await reviewsCollection.aggregate([
+        { $match: { courseObjectId, ...VISIBLE_REVIEW_FILTER } },
+        { $group: { _id: null, averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+    ]).toArray();
+    await coursesCollection.updateOne(
+        { _id: courseObjectId },
+        { $set: { averageRating: stats?.averageRating || 0, reviewCount: stats?.reviewCount || 0 } }
+    );
+};
+
+// --- Enrollment Transactions ---
+const MAX_ENROLLMENTS_PER_USER = 3;
+
+// Thrown inside a transaction to abort it; `status` is what the route should respond with
+const enrollmentError = (status, message) => Object.assign(new Error(message), { status });
+
+const withTransaction = async (fn) => {
+    const session = client.startSession();
     try {
-        // await client.connect(); // Commented out
-        db = client.db('coursehub_db');
-        coursesCollection = db.collection('courses');
-        usersCollection = db.collection('users');
-        enrollmentsCollection = db.collection('enrollments');
-        reviewsCollection = db.collection('reviews');
-        
-        // await client.db("admin").command({ ping: 1 }); // Commented out
-        isDbConnected = true;
-        console.log("✅ MongoDB collections initialized!");
+        return await session.withTransaction(() => fn(session));
+    } finally {
+        await session.endSession();
+    }
+};
 
-        // --- Authentication Routes ---
-        app.post('/jwt', async (req, res) => {
-             const { token: firebaseToken } = req.body;
-             if (!firebaseToken) return res.status(400).send({ error: true, message: "Missing Firebase ID token" });
-             try {
-                 const decodedToken = await admin.auth().verifyIdToken(firebaseToken);
-                 if (!decodedToken.email) return res.status(401).send({ error: true, message: "Firebase token is missing email." });
-                 const user = { email: decodedToken.email, uid: decodedToken.uid };
-                 const customJwt = jwt.sign(user, process.env.JWT_SECRET, { expiresIn: '7d' });
-                 res.cookie('token', customJwt, {
-                     httpOnly: true,
-                     secure: process.env.NODE_ENV === 'production',
-                     sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict',
-                     maxAge: 7 * 24 * 60 * 60 * 1000
-                 });
-                 res.send({ success: true });
-             } catch (err) {
-                 console.error("❌ Firebase token verify failed:", err);
-                 res.status(401).send({ error: true, message: "Invalid Firebase token" });
-             }
+// Inserts the enrollment and takes a seat atomically, consuming the user's waitlist hold if they have one.
+// With a `cohort` the seat comes from that cohort instead of the course.
+// Paid enrollments pass allowOversell: the student has already been charged, so a full course is flagged instead of refused.
+// For the same reason the Stripe webhook is the only caller that skips the per-user enrollment limit.
+const createEnrollment = ({ userEmail, courseId, courseTitle, cohort = null, paymentIntentId = null, enforceLimit = true, allowOversell = false }) => (
+    withTransaction(async (session) => {
+        const courseObjectId = new ObjectId(courseId);
+        // Writing to a per-user lock doc (keyed by email, so it exists exactly once even for users
+        // without a profile) makes concurrent enrollments by the same user conflict, so the limit
+        // count below can't be raced
+        await enrollmentLocksCollection.updateOne({ _id: userEmail }, { $set: { lastEnrollmentAt: new Date() } }, { session, upsert: true });
+        if (enforceLimit) {
+            const count = await enrollmentsCollection.countDocuments({ userEmail }, { session });
+            if (count >= MAX_ENROLLMENTS_PER_USER) throw enrollmentError(400, 'Enrollment limit');
+        }
+        const enrollment = { userEmail, courseId, courseTitle, enrolledAt: new Date() };
+        if (cohort) enrollment.cohortId = cohort._id.toString();
+        if (paymentIntentId) enrollment.paymentIntentId = paymentIntentId;
+        let insertResult;
+        try {
+            insertResult = await enrollmentsCollection.insertOne(enrollment, { session });
+        } catch (err) {
+            if (err.code === 11000) throw enrollmentError(400, 'Already enrolled');
+            throw err;
+        }
+        if (cohort) {
+            const cohortResult = await cohortsCollection.updateOne(
+                { _id: cohort._id, seats: { $gt: 0 } },
+                { $inc: { seats: -1, enrollmentCount: 1 } },
+                { session }
+            );
+            if (cohortResult.matchedCount === 0) {
+                if (!allowOversell) throw enrollmentError(409, 'Cohort is full');
+                await cohortsCollection.updateOne({ _id: cohort._id }, { $inc: { enrollmentCount: 1 } }, { session });
+            }
+            // The course keeps counting every enrollment; its own `seats` only serve enrollments without a cohort
+            await coursesCollection.updateOne({ _id: courseObjectId }, { $inc: { enrollmentCount: 1 } }, { session });
+            return { enrolledId: insertResult.insertedId, seatConflict: cohortResult.matchedCount === 0 };
+        }
+        const now = new Date();
+        const entry = await waitlistCollection.findOne(
+            { courseId, userEmail, status: { $in: ['waiting', 'offered'] } }, { session }
+        );
+        const hold = entry?.status === 'offered' && entry.holdExpiresAt > now ? entry : null;
+        let seatResult = { matchedCount: 0 };
+        if (hold) {
+            seatResult = await coursesCollection.updateOne(
+                { _id: courseObjectId, heldSeats: { $gt: 0 } },
+                { $inc: { heldSeats: -1, enrollmentCount: 1 } },
+                { session }
+            );
+        } else if (entry?.status === 'offered') {
+            // The hold has lapsed but hasn't been released yet: give its seat back to the pool first,
+            // otherwise it would stay in heldSeats for good
+            await waitlistCollection.updateOne({ _id: entry._id }, { $set: { status: 'expired', updatedAt: now } }, { session });
+            await coursesCollection.updateOne(
+                { _id: courseObjectId, heldSeats: { $gt: 0 } },
+                { $inc: { seats: 1, heldSeats: -1 } },
+                { session }
+            );
+        }
+        if (seatResult.matchedCount === 0) {
+            seatResult = await coursesCollection.updateOne(
+                { _id: courseObjectId, seats: { $gt: 0 } },
+                { $inc: { seats: -1, enrollmentCount: 1 } },
+                { session }
+            );
+        }
+        if (hold || entry?.status === 'waiting') {
+            await waitlistCollection.updateOne({ _id: entry._id }, { $set: { status: 'enrolled', updatedAt: now } }, { session });
+        }
+        if (seatResult.matchedCount === 0) {
+            if (!allowOversell) throw enrollmentError(409, 'Seat conflict');
+            await coursesCollection.updateOne({ _id: courseObjectId }, { $inc: { enrollmentCount: 1 } }, { session });
+            return { enrolledId: insertResult.insertedId, seatConflict: true };
+        }
+        return { enrolledId: insertResult.insertedId, seatConflict: false };
+    }).then(async result => {
+        // Only once the transaction has committed
+        await notify('enrollment.confirmed', {
+            to: userEmail, courseId, courseTitle, cohortName: cohort?.name || null, cohortStartDate: cohort?.startDate || null
         });
+        return result;
+    })
+);
 
-        app.post('/logout', (req, res) => {
-             try {
-                 res.clearCookie('token', {
-                     httpOnly: true,
-                     secure: process.env.NODE_ENV === 'production',
-                     sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict',
-                     path: '/'
-                 });
-                 res.send({ success: true });
-             } catch (err) {
-                 console.error("❌ Logout error:", err);
-                 res.status(500).send({ error: true, message: "Logout failed" });
-             }
-        });
+// Deletes the enrollment and gives its seat back atomically, then offers it to the waitlist.
+// A `revocation` ({ reason, actor, role }) records the removal in `enrollment_revocations`.
+// With `paymentIntentId` only the enrollment bought by that payment is removed, so refunding an
+// older purchase leaves a later one alone. Resolves to the removed enrollment, or null.
+const removeEnrollment = async ({ userEmail, courseId, paymentIntentId = null, revocation = null }) => {
+    const removed = await withTransaction(async (session) => {
+        const filter = paymentIntentId ? { userEmail, courseId, paymentIntentId } : { userEmail, courseId };
+        const removed = await enrollmentsCollection.findOneAndDelete(filter, { session });
+        if (!removed) return null;
+        if (revocation) {
+            // The enrollment itself is gone; this keeps what it was and why it was taken away
+            const { _id: enrollmentId, ...enrollment } = removed;
+            await enrollmentRevocationsCollection.insertOne({
+                ...enrollment, enrollmentId, reason: revocation.reason,
+                revokedBy: revocation.actor, revokedByRole: revocation.role, revokedAt: new Date()
+            }, { session });
+        }
+        const seatResult = await coursesCollection.updateOne(
+            { _id: new ObjectId(courseId), enrollmentCount: { $gt: 0 } },
+            removed.cohortId ? { $inc: { enrollmentCount: -1 } } : { $inc: { seats: 1, enrollmentCount: -1 } },
+            { session }
+        );
+        if (removed.cohortId && ObjectId.isValid(removed.cohortId)) {
+            await releaseCohortSeat(new ObjectId(removed.cohortId), session);
+        }
+        if (seatResult.matchedCount === 0) {
+            console.warn(`⚠️ Course ${courseId} counters out of sync on unenroll; run the seat reconciliation job.`);
+        }
+        return removed;
+    });
+    // Cohorts have no waitlist
+    if (removed && !removed.cohortId) {
+        await offerSeatsToWaitlist(courseId).catch(err => console.error("❌ Error offering freed seat:", err));
+    }
+    return removed;
+};
 
-        // --- User Routes ---
-        app.get('/users/:email', verifyJWT, checkDbConnection, getUserRole, async (req, res) => {
-             const emailParam = req.params.email;
-             if (req.decoded.email !== emailParam) return res.status(403).json({ error: 'Forbidden' });
-            try {
-                 const user = await usersCollection.findOne({ email: emailParam });
-                 res.json(user || { email: emailParam, role: 'student' });
-            } catch (err) {
-                 console.error("❌ Error fetching user profile data:", err);
-                 res.status(500).json({ error: 'Failed to fetch user profile.' });
-            }
+// --- Waitlist ---
+// Entries move waiting → offered (seat held until holdExpiresAt) → enrolled, or expired/left.
+// A held seat is moved from `seats` to `heldSeats` so nobody else can take it.
+const SEAT_HOLD_HOURS = parseInt(process.env.SEAT_HOLD_HOURS, 10) || 24;
+
+// Returns expired holds to the pool so they can be offered to the next person
+const releaseExpiredHolds = async (courseId) => {
+    const expired = await waitlistCollection
+        .find({ courseId, status: 'offered', holdExpiresAt: { $lte: new Date() } })
+        .project({ _id: 1 }).toArray();
+    for (const entry of expired) {
+        await withTransaction(async (session) => {
+            const result = await waitlistCollection.updateOne(
+                { _id: entry._id, status: 'offered' },
+                { $set: { status: 'expired', updatedAt: new Date() } },
+                { session }
+            );
+            if (result.modifiedCount === 0) return;
+            await coursesCollection.updateOne(
+                { _id: new ObjectId(courseId), heldSeats: { $gt: 0 } },
+                { $inc: { seats: 1, heldSeats: -1 } },
+                { session }
+            );
         });
+    }
+};
 
-        app.put('/users/:email', verifyJWT, checkDbConnection, async (req, res) => {
-             const emailParam = req.params.email;
-             const userData = req.body;
-             if (req.decoded.email !== emailParam) return res.status(403).json({ error: 'Forbidden' });
-             if (!userData.name || !userData.photoURL) return res.status(400).json({ error: 'Name and photoURL are required.' });
-             const filter = { email: emailParam };
-             const updateDoc = {
-                 $set: {
-                     name: userData.name, photoURL: userData.photoURL,
-                     phone: userData.phone || "", address: userData.address || "",
-                     updatedAt: new Date(),
-                 },
-                 $setOnInsert: { email: emailParam, role: 'student', createdAt: new Date() }
-             };
-             const options = { upsert: true };
-            try {
-                 const result = await usersCollection.updateOne(filter, updateDoc, options);
-                 if (result.upsertedCount > 0) res.status(201).json({ message: "Profile created.", result });
-                 else if (result.modifiedCount > 0) res.status(200).json({ message: "Profile updated.", result });
-                 else res.status(200).json({ message: "No changes detected.", result });
-            } catch (err) {
-                 console.error("❌ Error updating user:", err);
-                 res.status(500).json({ error: 'Failed to update user profile.' });
-            }
+// Holds free seats for the people at the front of the queue, one seat per person
+const offerSeatsToWaitlist = async (courseId) => {
+    await releaseExpiredHolds(courseId);
+    let courseTitle;
+    for (;;) {
+        const offered = await withTransaction(async (session) => {
+            const next = await waitlistCollection.findOne(
+                { courseId, status: 'waiting' }, { sort: { position: 1 }, session }
+            );
+            if (!next) return false;
+            const seatResult = await coursesCollection.updateOne(
+                { _id: new ObjectId(courseId), seats: { $gt: 0 } },
+                { $inc: { seats: -1, heldSeats: 1 } },
+                { session }
+            );
+            if (seatResult.matchedCount === 0) return false;
+            const now = new Date();
+            const holdExpiresAt = new Date(now.getTime() + SEAT_HOLD_HOURS * 60 * 60 * 1000);
+            await waitlistCollection.updateOne(
+                { _id: next._id },
+                { $set: { status: 'offered', offeredAt: now, holdExpiresAt, updatedAt: now } },
+                { session }
+            );
+            return { userEmail: next.userEmail, holdExpiresAt };
         });
+        if (!offered) return;
+        courseTitle ??= (await coursesCollection.findOne({ _id: new ObjectId(courseId) }, { projection: { courseTitle: 1 } }))?.courseTitle;
+        await notify('waitlist.seat_offered', { to: offered.userEmail, courseId, courseTitle, holdExpiresAt: offered.holdExpiresAt });
+    }
+};
 
-        // --- Course Routes ---
-        
-        // (FIXED) GET Courses - Public, but role-aware
-        app.get('/courses', checkDbConnection, getRoleIfAuthenticated, async (req, res) => {
-             try {
-                 const { instructorEmail, search } = req.query;
-                 let query = {};
+// Takes the user off the waitlist; a held seat goes to the next person in line
+const leaveWaitlist = async (courseId, userEmail) => {
+    const left = await withTransaction(async (session) => {
+        const entry = await waitlistCollection.findOneAndUpdate(
+            { courseId, userEmail, status: { $in: ['waiting', 'offered'] } },
+            { $set: { status: 'left', updatedAt: new Date() } },
+            { session }
+        );
+        if (entry?.status === 'offered') {
+            await coursesCollection.updateOne(
+                { _id: new ObjectId(courseId), heldSeats: { $gt: 0 } },
+                { $inc: { seats: 1, heldSeats: -1 } },
+                { session }
+            );
+        }
+        return entry;
+    });
+    if (left?.status === 'offered') await offerSeatsToWaitlist(courseId);
+    return left;
+};
 
-                 // (FIXED) Non-admins/guests see 'approved' OR courses with NO status field
-                 if (req.userRole !== 'admin') {
-                     query.$or = [
-                         { status: 'approved' },
-                         { status: { $exists: false } } // Show old courses
-                     ];
-                 }
-                 // Admins see all
+// An active hold lets the holder enroll or pay even though `seats` reads 0
+const hasActiveHold = async (courseId, userEmail) => {
+    const hold = await waitlistCollection.findOne(
+        { courseId, userEmail, status: 'offered', holdExpiresAt: { $gt: new Date() } }
+    );
+    return !!hold;
+};
 
-                 if (instructorEmail && instructorEmail !== 'null' && instructorEmail !== 'undefined') {
-                     query.instructorEmail = instructorEmail;
-                 }
-                 
-                 if (search) {
-                     const searchRegex = { $regex: search, $options: 'i' };
-                     const searchCondition = { $or: [{ courseTitle: searchRegex }, { description: searchRegex }] };
-                     
-                     // Combine search with existing query
-                     if(query.$or || query.instructorEmail) {
-                         query = { $and: [query, searchCondition] };
-                     } else {
-                         query = searchCondition; // Only search query
-                     }
-                 }
-                 
-                 const sortOptions = { createdAt: -1 }; // Use createdAt if timestamp isn't standardized
-                 
-                 const result = await coursesCollection.find(query).sort(sortOptions).toArray();
-                 res.send(result);
+const getWaitlistPosition = async (entry) => {
+    if (entry.status !== 'waiting') return null;
+    const ahead = await waitlistCollection.countDocuments(
+        { courseId: entry.courseId, status: 'waiting', position: { $lt: entry.position } }
+    );
+    return ahead + 1;
+};
 
-             } catch (err) {
-                 console.error("❌ Error fetching courses:", err);
-                 res.status(500).json({ error: 'Failed to fetch courses' });
-             }
-        });
+// --- Cohorts ---
+// A course can run several times as cohorts, each with its own dates, capacity, enrollment window
+// and optional price (null uses the course price). Once a course has cohorts, every enrollment and
+// payment names one. Cohort seats are counted on the cohort, and a full cohort has no waitlist.
+// Enrollment closes when the cohort starts unless `enrollmentClosesAt` says otherwise.
+const COHORT_FIELDS = ['name', 'startDate', 'endDate', 'enrollmentOpensAt', 'enrollmentClosesAt', 'capacity', 'price'];
+const COHORT_DATE_FIELDS = ['startDate', 'endDate', 'enrollmentOpensAt', 'enrollmentClosesAt'];
 
-        // (FIXED) GET Single Course by ID (Public, but check status)
-        app.get('/courses/:id', checkDbConnection, getRoleIfAuthenticated, async (req, res) => {
-              const { id } = req.params;
-              if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
-              const courseObjectId = new ObjectId(id);
-            try {
-                  const pipeline = [
-                      { $match: { _id: courseObjectId } },
-                      { $lookup: { from: "reviews", localField: "_id", foreignField: "courseObjectId", as: "courseReviews" } },
-                      { $addFields: {
-                          averageRating: { $cond: { if: { $gt: [{ $size: "$courseReviews" }, 0] }, then: { $avg: "$courseReviews.rating" }, else: 0 } },
-                          reviewCount: { $size: "$courseReviews" }
-                      }},
-                      { $project: { courseReviews: 0 } }
-                  ];
-                  const result = await coursesCollection.aggregate(pipeline).toArray();
-                  if (result.length === 0) return res.status(404).json({ error: 'Course not found' });
-                  
-                  const course = result[0];
+const cohortPrice = (cohort, course) => cohort?.price ?? course.price;
+const cohortClosesAt = (cohort) => cohort.enrollmentClosesAt || cohort.startDate;
 
-                  // (FIXED) Public/Students can only see 'approved' or no-status courses
-                  const hasStatus = course.status !== undefined;
-                  if (hasStatus && course.status !== 'approved' && req.userRole !== 'admin') {
-                       return res.status(404).json({ error: 'Course not found or not available.' });
-                  }
-                  
-                  res.json(course);
-              } catch (err) {
-                   console.error("❌ Error fetching single course:", err);
-                   res.status(500).json({ error: 'Failed to fetch course details' });
-              }
-          });
+// 'open', 'not_open' (window hasn't started), 'closed' or 'full'
+const cohortEnrollmentState = (cohort, now = new Date()) => {
+    if (cohort.enrollmentOpensAt && now < cohort.enrollmentOpensAt) return 'not_open';
+    if (now > cohortClosesAt(cohort)) return 'closed';
+    if (cohort.seats <= 0) return 'full';
+    return 'open';
+};
 
-        // POST Add New Course
-        app.post('/courses', verifyJWT, checkDbConnection, getUserRole, verifyInstructor, async (req, res) => {
-               const { courseTitle, image, seats, duration, description, instructorEmail, timestamp, price } = req.body;
-               const requestingUserEmail = req.decoded.email;
-               if (!courseTitle || !image || seats == null || !duration || !description || price == null) return res.status(400).json({ error: 'Missing required fields.' });
-               if (isNaN(parseInt(seats, 10)) || isNaN(parseFloat(price)) || parseFloat(price) < 0 || parseInt(seats, 10) < 0) return res.status(400).json({ error: 'Invalid Seats or Price.' });
-               let finalInstructorEmail = (req.userRole === 'instructor') ? requestingUserEmail : instructorEmail;
-               if (req.userRole === 'admin' && !instructorEmail) return res.status(400).json({ error: 'Admin must specify instructorEmail.' });
-            try {
-               const newCourse = {
-                   courseTitle, image, seats: parseInt(seats, 10), price: parseFloat(price),
-                   duration, description, instructorEmail: finalInstructorEmail,
-                   enrollmentCount: 0, status: 'pending',
-                   createdAt: timestamp ? new Date(timestamp) : new Date(), updatedAt: new Date(),
-                   // (FIX) Add timestamp field to match your old data structure if needed
-                   timestamp: timestamp || new Date().toISOString().split('T')[0] // 'YYYY-MM-DD'
-               };
-               const result = await coursesCollection.insertOne(newCourse);
-               res.status(201).json({ message: 'Course added, pending approval.', insertedId: result.insertedId });
-            } catch (err) {
-               console.error('❌ Error adding course:', err);
-               res.status(500).json({ error: 'Failed to add course' });
-            }
-         });
+const presentCohort = (cohort, course) => ({
+    _id: cohort._id, name: cohort.name, startDate: cohort.startDate, endDate: cohort.endDate,
+    enrollmentOpensAt: cohort.enrollmentOpensAt || null, enrollmentClosesAt: cohortClosesAt(cohort),
+    capacity: cohort.capacity, seats: Math.max(cohort.seats, 0), price: cohortPrice(cohort, course),
+    enrollment: cohortEnrollmentState(cohort)
+});
 
-        // PUT Update Course
-        app.put('/course/:id', verifyJWT, checkDbConnection, getUserRole, verifyInstructor, async (req, res) => {
-              const { id } = req.params;
-              const updatedData = req.body;
-              const requestingUserEmail = req.decoded.email;
-              if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
-              const courseObjectId = new ObjectId(id);
-            try {
+// Cohorts that haven't ended yet, soonest first (all of them with `includePast`)
+const getCohorts = (courseId, { includePast = false } = {}) => cohortsCollection
+    .find(includePast ? { courseId } : { courseId, endDate: { $gte: new Date() } })
+    .sort({ startDate: 1 }).toArray();
+
+// Course ids (as ObjectIds) of every course with cohorts, and of those with a cohort open for
+// enrollment right now (the query form of cohortEnrollmentState === 'open'), for `available=true`
+const getCohortAvailability = async (now = new Date()) => {
+    const toObjectIds = (ids) => ids.filter(ObjectId.isValid).map(id => new ObjectId(id));
+    const [cohortCourseIds, openCohortCourseIds] = await Promise.all([
+        cohortsCollection.distinct('courseId'),
+        cohortsCollection.distinct('courseId', {
+            seats: { $gt: 0 },
+            $and: [
+                { $or: [{ enrollmentOpensAt: null }, { enrollmentOpensAt: { $lte: now } }] },
+                { $or: [{ enrollmentClosesAt: { $gte: now } }, { enrollmentClosesAt: null, startDate: { $gte: now } }] }
+            ]
+        })
+    ]);
+    return { cohortCourseIds: toObjectIds(cohortCourseIds), openCohortCourseIds: toObjectIds(openCohortCourseIds) };
+};
+
+// Converts date strings from a request body and checks that the dates are in order.
+// `existing` is the stored cohort when only some fields change.
+const parseCohortInput = (body, existing = {}) => {
+    const fields = {};
+    COHORT_FIELDS.forEach(field => { if (body[field] !== undefined) fields[field] = body[field]; });
+    COHORT_DATE_FIELDS.forEach(field => { if (fields[field]) fields[field] = new Date(fields[field]); });
+    const merged = { ...existing, ...fields };
+    if (merged.endDate <= merged.startDate) return { error: 'endDate must be after startDate' };
+    if (merged.enrollmentOpensAt && merged.enrollmentOpensAt >= cohortClosesAt(merged)) {
+        return { error: 'Enrollment must open before it closes' };
+    }
+    if (merged.enrollmentClosesAt && merged.enrollmentClosesAt > merged.endDate) {
+        return { error: 'Enrollment must close before the cohort ends' };
+    }
+    return { fields };
+};
+
+// Which cohort an enrollment or payment is for: { cohort } (null for a course without cohorts),
+// or { status, error } when it can't be enrolled in right now
+const resolveEnrollmentCohort = async (course, cohortId) => {
+    const courseId = course._id.toString();
+    if (!cohortId) {
+        const hasCohorts = await cohortsCollection.countDocuments({ courseId }, { limit: 1 });
+        return hasCohorts ? { status: 400, error: 'Choose a cohort to enroll in' } : { cohort: null };
+    }
+    const cohort = await cohortsCollection.findOne({ _id: new ObjectId(cohortId), courseId });
+    if (!cohort) return { status: 404, error: 'Cohort not found' };
+    const state = cohortEnrollmentState(cohort);
+    if (state === 'not_open') return { status: 400, error: `Enrollment opens ${cohort.enrollmentOpensAt.toISOString()}` };
+    if (state === 'closed') return { status: 400, error: 'Enrollment for this cohort has closed' };
+    if (state === 'full') return { status: 400, error: 'Cohort is full' };
+    return { cohort };
+};
+
+// Frees one seat; an oversold cohort stays full until it is back under capacity
+const releaseCohortSeat = (cohortObjectId, session) => cohortsCollection.updateOne(
+    { _id: cohortObjectId, enrollmentCount: { $gt: 0 } },
+    [
+        { $set: { enrollmentCount: { $subtract: ['$enrollmentCount', 1] }, updatedAt: '$$NOW' } },
+        { $set: { seats: { $max: [{ $subtract: ['$capacity', '$enrollmentCount'] }, 0] } } }
+    ],
+    { session }
+);
+
+// Per-cohort enrollment, completion and revenue for the course analytics. Enrollments made
+// before the course had cohorts are grouped under `cohortId: null`.
+const getCohortBreakdown = async (courseId, enrolledStudents) => {
+    const cohorts = await getCohorts(courseId, { includePast: true });
+    if (cohorts.length === 0) return [];
+    const revenue = await ledgerCollection.aggregate([
+        { $match: { courseId } },
+        { $group: { _id: { cohortId: '$cohortId', currency: '$currency' }, ...LEDGER_TOTALS } }
+    ]).toArray();
+    const groups = cohorts.map(cohort => ({ cohort, cohortId: cohort._id.toString() }));
+    if (enrolledStudents.some(e => !e.cohortId)) groups.push({ cohort: null, cohortId: null });
+    return Promise.all(groups.map(async ({ cohort, cohortId }) => {
+        const emails = enrolledStudents.filter(e => (e.cohortId || null) === cohortId).map(e => e.userEmail);
+        const { lessons, ...completion } = await getCompletionFunnel(courseId, emails);
+        return {
+            cohortId, name: cohort?.name || 'No cohort',
+            startDate: cohort?.startDate || null, endDate: cohort?.endDate || null,
+            capacity: cohort?.capacity ?? null,
+            enrollments: emails.length,
+            fillRate: cohort?.capacity ? Math.round((emails.length / cohort.capacity) * 10000) / 10000 : null,
+            completion,
+            revenue: revenue
+                .filter(row => (row._id.cohortId || null) === cohortId)
+                .map(({ _id, salesCount, salesCents, refundsCents, netCents }) => ({ currency: _id.currency, salesCount, salesCents, refundsCents, netCents }))
+        };
+    }));
+};
+
+// --- Curriculum ---
+// Sections and lessons live in their own collections, keyed by the course's string id.
+const LESSON_OUTLINE_PROJECTION = { courseId: 1, sectionId: 1, title: 1, order: 1, estimatedMinutes: 1 };
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// Validates lesson fields from a request body. With `partial`, only the fields present are checked.
+const parseLessonInput = (body, { partial = false } = {}) => {
+    const data = {};
+    const { title, videoUrl, body: markdown, attachments, estimatedMinutes, order } = body || {};
+    if (title !== undefined || !partial) {
+        if (typeof title !== 'string' || title.trim().length === 0) return { error: 'Title required' };
+        data.title = title.trim();
+    }
+    if (videoUrl !== undefined) {
+        if (videoUrl !== '' && !isHttpUrl(videoUrl)) return { error: 'Invalid videoUrl' };
+        data.videoUrl = videoUrl;
+    }
+    if (markdown !== undefined) {
+        if (typeof markdown !== 'string') return { error: 'Invalid body' };
+        data.body = markdown;
+    }
+    if (attachments !== undefined) {
+        if (!Array.isArray(attachments) || attachments.some(a => !a || typeof a.name !== 'string' || !isHttpUrl(a.url))) {
+            return { error: 'Attachments must be { name, url } objects' };
+        }
+        data.attachments = attachments.map(a => ({ name: a.name, url: a.url }));
+    }
+    if (estimatedMinutes !== undefined) {
+        const minutes = parseInt(estimatedMinutes, 10);
+        if (isNaN(minutes) || minutes < 0) return { error: 'Invalid estimatedMinutes' };
+        data.estimatedMinutes = minutes;
+    }
+    if (order !== undefined) {
+        const orderNum = parseInt(order, 10);
+        if (isNaN(orderNum) || orderNum < 0) return { error: 'Invalid order' };
+        data.order = orderNum;
+    }
+    return { data };
+};
+
+// Enrolled students, course staff (owner/collaborators) and anyone who can view any course see lesson content
+const canViewLessonContent = async (req, course) => {
+    if (can(req, 'course:view:any') || canOnCourse(req, course, 'course:edit')) return true;
+    const email = req.decoded?.email;
+    if (!email) return false;
+    const enrollment = await enrollmentsCollection.findOne({ userEmail: email, courseId: course._id.toString() });
+    return !!enrollment;
+};
+
+// Sections in order, each with its lessons in order. Without content, lessons are outline-only.
+const getCurriculum = async (courseId, { includeContent = false } = {}) => {
+    const sections = await sectionsCollection.find({ courseId }).sort({ order: 1, createdAt: 1 }).toArray();
+    const lessons = await lessonsCollection
+        .find({ courseId })
+        .project(includeContent ? {} : LESSON_OUTLINE_PROJECTION)
+        .sort({ order: 1, createdAt: 1 }).toArray();
+    return sections.map(section => ({
+        ...section,
+        lessons: lessons.filter(lesson => lesson.sectionId.equals(section._id))
+    }));
+};
+
+// --- Lesson Progress ---
+// One progress doc per (userEmail, courseId) holding the ids of completed lessons and the resume point.
+
+// All lessons of a course in curriculum order (section order, then lesson order)
+const getOrderedLessons = async (courseId) => {
+    const sections = await getCurriculum(courseId);
+    return sections.flatMap(section => section.lessons);
+};
+
+// Completed lessons are matched against the current curriculum, so deleted lessons don't count
+const summarizeProgress = (progress, lessonIds) => {
+    const completed = new Set(progress?.completedLessons || []);
+    const completedCount = lessonIds.filter(lessonId => completed.has(lessonId)).length;
+    const percent = lessonIds.length > 0 ? Math.round((completedCount / lessonIds.length) * 100) : 0;
+    let status = 'not_started';
+    if (lessonIds.length > 0 && completedCount === lessonIds.length) status = 'completed';
+    else if (progress) status = 'in_progress';
+    return {
+        completedCount, totalLessons: lessonIds.length, percent, status,
+        lastLessonId: progress?.lastLessonId || null,
+        resumePositionSeconds: progress?.resumePositionSeconds || 0,
+        completedAt: progress?.completedAt || null
+    };
+};
+
+// Recomputes the summary after a change. The first time a course is finished it stamps
+// completedAt and issues the certificate.
+const refreshProgress = async (userEmail, courseId) => {
+    const lessonIds = (await getOrderedLessons(courseId)).map(lesson => lesson._id.toString());
+    const progress = await progressCollection.findOne({ userEmail, courseId });
+    const summary = summarizeProgress(progress, lessonIds);
+    if (summary.status === 'completed' && !progress.completedAt) {
+        const completedAt = new Date();
+        await progressCollection.updateOne({ _id: progress._id }, { $set: { completedAt } });
+        summary.completedAt = completedAt;
+        const certificate = await issueCertificate(userEmail, courseId)
+            .catch(err => console.error("❌ Error issuing certificate:", err));
+        summary.certificateId = certificate?.certificateId || null;
+    }
+    return summary;
+};
+
+const isEnrolled = async (userEmail, courseId) => {
+    const enrollment = await enrollmentsCollection.findOne({ userEmail, courseId });
+    return !!enrollment;
+};
+
+// Started / 50% / finished counts for the enrolled students, plus how many completed each lesson
+// and how many stopped there (their furthest completed lesson, without finishing the course)
+const getCompletionFunnel = async (courseId, enrolledEmails) => {
+    const lessons = await getOrderedLessons(courseId);
+    const lessonIds = lessons.map(lesson => lesson._id.toString());
+    const progressDocs = await progressCollection.find({ courseId, userEmail: { $in: enrolledEmails } }).toArray();
+    const funnel = { enrolled: enrolledEmails.length, started: 0, halfway: 0, finished: 0 };
+    const completedByLesson = new Map(lessonIds.map(lessonId => [lessonId, 0]));
+    const droppedAtLesson = new Map(lessonIds.map(lessonId => [lessonId, 0]));
+    for (const progress of progressDocs) {
+        const summary = summarizeProgress(progress, lessonIds);
+        if (summary.completedCount > 0) funnel.started++;
+        if (summary.percent >= 50) funnel.halfway++;
+        if (summary.status === 'completed') funnel.finished++;
+        const completed = new Set(progress.completedLessons || []);
+        let furthest = null;
+        lessonIds.forEach(lessonId => {
+            if (!completed.has(lessonId)) return;
+            completedByLesson.set(lessonId, completedByLesson.get(lessonId) + 1);
+            furthest = lessonId;
+        });
+        if (furthest && summary.status !== 'completed') droppedAtLesson.set(furthest, droppedAtLesson.get(furthest) + 1);
+    }
+    return {
+        ...funnel,
+        lessons: lessons.map(lesson => {
+            const lessonId = lesson._id.toString();
+            return {
+                lessonId, title: lesson.title,
+                completedCount: completedByLesson.get(lessonId),
+                dropOffCount: droppedAtLesson.get(lessonId)
+            };
+        })
+    };
+};
+
+// --- Certificates ---
+// Names and titles are copied onto the certificate when it's issued, so later profile or course
+// edits don't change what was certified. The verify token is an HMAC of the certificate id under
+// its own CERTIFICATE_SECRET, so a public verify link carries no personal data and isn't a login token.
+// Without the secret no verify links are handed out and none are accepted.
+const generateCertificateId = () => (
+    `CH-${crypto.randomBytes(8).toString('hex').toUpperCase().match(/.{4}/g).join('-')}`
+);
+
+const getCertificateSecret = () => {
+    const secret = process.env.CERTIFICATE_SECRET;
+    return secret && secret !== process.env.JWT_SECRET ? secret : null;
+};
+
+const signCertificateToken = (certificateId) => crypto
+    .createHmac('sha256', getCertificateSecret()).update(certificateId).digest('base64url');
+
+const isValidCertificateToken = (certificateId, token) => {
+    const expected = Buffer.from(signCertificateToken(certificateId));
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const getCertificateVerifyUrl = (req, certificate) => {
+    if (!getCertificateSecret()) return null;
+    const baseUrl = process.env.SERVER_URL || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl}/certificates/${certificate.certificateId}/verify?token=${signCertificateToken(certificate.certificateId)}`;
+};
+
+// Issues a certificate for a finished course once; later calls return the existing one
+const issueCertificate = async (userEmail, courseId) => {
+    const existing = await certificatesCollection.findOne({ userEmail, courseId });
+    if (existing) return existing;
+    const course = await coursesCollection.findOne({ _id: new ObjectId(courseId) });
+    if (!course) return null;
+    const progress = await progressCollection.findOne({ userEmail, courseId });
+    const student = await usersCollection.findOne({ email: userEmail });
+    const instructor = await usersCollection.findOne({ email: course.instructorEmail });
+    const certificate = {
+        certificateId: generateCertificateId(),
+        userEmail, studentName: student?.name || userEmail,
+        courseId, courseTitle: course.courseTitle,
+        instructorEmail: course.instructorEmail, instructorName: instructor?.name || course.instructorEmail,
+        completedAt: progress?.completedAt || new Date(), issuedAt: new Date(),
+        revokedAt: null, revokedBy: null, revokedReason: null
+    };
+    try {
+        await certificatesCollection.insertOne(certificate);
+    } catch (err) {
+        if (err.code === 11000) return certificatesCollection.findOne({ userEmail, courseId });
+        throw err;
+    }
+    return certificate;
+};
+
+// --- Coupons ---
+// Admin coupons are site-wide; instructor coupons only apply to that instructor's courses.
+// `courseIds` (string ids) optionally narrows either kind to specific courses.
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const STRIPE_MIN_CHARGE_CENTS = 50;
+
+const normalizeCouponCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Validates coupon fields from a request body. With `partial`, only the fields present are checked
+// and `currentType` is the stored type, for checking a new value against it.
+const parseCouponInput = (body, { partial = false, currentType } = {}) => {
+    const data = {};
+    const { code, type, value, expiresAt, maxRedemptions, perUserLimit, courseIds, active } = body || {};
+    if (code !== undefined || !partial) {
+        const normalized = normalizeCouponCode(code);
+        if (!COUPON_CODE_PATTERN.test(normalized)) return { error: 'Code must be 3-32 letters, digits, - or _' };
+        data.code = normalized;
+    }
+    if (type !== undefined || !partial) {
+        if (!['percent', 'fixed'].includes(type)) return { error: 'Type must be percent or fixed' };
+        data.type = type;
+    }
+    if (value !== undefined || !partial) {
+        const valueNum = parseFloat(value);
+        if (isNaN(valueNum) || valueNum <= 0) return { error: 'Invalid value' };
+        if ((type ?? currentType) === 'percent' && valueNum > 100) return { error: 'Percent value cannot exceed 100' };
+        data.value = valueNum;
+    }
+    if (expiresAt !== undefined) {
+        if (expiresAt === null) data.expiresAt = null;
+        else if (isNaN(new Date(expiresAt).getTime())) return { error: 'Invalid expiresAt' };
+        else data.expiresAt = new Date(expiresAt);
+    }
+    for (const [field, raw] of [['maxRedemptions', maxRedemptions], ['perUserLimit', perUserLimit]]) {
+        if (raw === undefined) continue;
+        if (raw === null) { data[field] = null; continue; }
+        const num = parseInt(raw, 10);
+        if (isNaN(num) || num < 1) return { error: `Invalid ${field}` };
+        data[field] = num;
+    }
+    if (courseIds !== undefined) {
+        if (!Array.isArray(courseIds) || courseIds.some(id => !ObjectId.isValid(id))) return { error: 'Invalid courseIds' };
+        data.courseIds = [...new Set(courseIds.map(String))];
+    }
+    if (active !== undefined) {
+        if (typeof active !== 'boolean') return { error: 'Invalid active flag' };
+        data.active = active;
+    }
+    return { data };
+};
+
+// Checks a code against a course and user. Resolves to { coupon, originalCents, discountCents, finalCents } or { error }.
+const applyCoupon = async (code, course, userEmail) => {
+    const coupon = await couponsCollection.findOne({ code: normalizeCouponCode(code) });
+    if (!coupon || !coupon.active) return { error: 'Invalid coupon code' };
+    if (coupon.expiresAt && coupon.expiresAt <= new Date()) return { error: 'Coupon has expired' };
+    if (coupon.maxRedemptions != null && coupon.redemptionCount >= coupon.maxRedemptions) {
+        return { error: 'Coupon redemption limit reached' };
+    }
+    const courseId = course._id.toString();
+    if (coupon.courseIds?.length > 0 && !coupon.courseIds.includes(courseId)) return { error: 'Coupon does not apply to this course' };
+    if (coupon.scope === 'instructor' && coupon.instructorEmail !== course.instructorEmail) {
+        return { error: 'Coupon does not apply to this course' };
+    }
+    if (coupon.perUserLimit != null) {
+        const used = await couponRedemptionsCollection.countDocuments({ couponId: coupon._id, userEmail });
+        if (used >= coupon.perUserLimit) return { error: 'You have already used this coupon' };
+    }
+    const originalCents = Math.round(course.price * 100);
+    const rawDiscount = coupon.type === 'percent' ? Math.round(originalCents * coupon.value / 100) : Math.round(coupon.value * 100);
+    const discountCents = Math.min(rawDiscount, originalCents);
+    return { coupon, originalCents, discountCents, finalCents: originalCents - discountCents };
+};
+
+// Counts the redemption against the coupon's limit. Resolves to the redemption id, or null when
+// the limit was hit in the meantime (unless `force`, used once the student has already paid).
+const redeemCoupon = async ({ coupon, userEmail, courseId, paymentIntentId = null, discountCents, force = false }) => {
+    const limitFilter = force ? {} : {
+        $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }]
+    };
+    const result = await couponsCollection.updateOne(
+        { _id: coupon._id, ...limitFilter },
+        { $inc: { redemptionCount: 1 } }
+    );
+    if (result.matchedCount === 0) return null;
+    const redemption = {
+        couponId: coupon._id, code: coupon.code, userEmail, courseId,
+        discountCents, redeemedAt: new Date()
+    };
+    if (paymentIntentId) redemption.paymentIntentId = paymentIntentId;
+    const insertResult = await couponRedemptionsCollection.insertOne(redemption);
+    return insertResult.insertedId;
+};
+
+// Undoes a redemption whose enrollment didn't go through
+const releaseCouponRedemption = async (couponId, redemptionId) => {
+    await couponRedemptionsCollection.deleteOne({ _id: redemptionId });
+    await couponsCollection.updateOne({ _id: couponId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+};
+
+// --- Audit Log ---
+// Append-only: entries are only ever inserted. Actions are namespaced `<target>.<verb>`.
+const AUDIT_CSV_COLUMNS = ['createdAt', 'actorEmail', 'actorRole', 'action', 'targetType', 'targetId', 'before', 'after', 'ip', 'requestId', 'clientRequestId'];
+
+const auditActorFromRequest = (req) => ({
+    email: req.decoded?.email || null, role: req.userRole || null, ip: req.ip || null,
+    requestId: req.id || null, clientRequestId: req.clientRequestId || null
+});
+
+// An audit write failing must not undo (or fail) the action it describes, so errors are only logged
+const recordAudit = async (actor, { action, targetType, targetId, before = null, after = null }) => {
+    try {
+        await auditLogsCollection.insertOne({
+            actorEmail: actor.email, actorRole: actor.role, action,
+            targetType, targetId: targetId != null ? String(targetId) : null,
+            before, after, ip: actor.ip, requestId: actor.requestId, clientRequestId: actor.clientRequestId || null, createdAt: new Date()
+        });
+    } catch (err) {
+        console.error(`❌ Failed to write audit entry for ${action}:`, err);
+    }
+};
+
+// --- Notifications ---
+// Handlers `await notify(type, data)` (e.g. 'course.approved' with { to, courseId, ... }) before
+// responding, so delivery to the inbox and by email is done before the request ends; nothing is
+// left running that a serverless platform could cut off after the response.
+// Production has to choose a transport: the console default would silently drop every email.
+if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT) {
+    throw new Error(`MAIL_TRANSPORT must be set in production (use ${MAIL_TRANSPORTS.join(', ')})`);
+}
+const mailTransport = createMailTransport({
+    type: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'CourseHub <no-reply@coursehub.app>',
+    smtpUrl: process.env.SMTP_URL,
+    outboxDir: process.env.MAIL_OUTBOX_DIR
+});
+
+// Emails of users whose role (built-in or custom) grants `permission`
+const getUsersWithPermission = async (permission) => {
+    const customRoles = await rolesCollection.find({}).project({ name: 1, permissions: 1 }).toArray();
+    const roleNames = [
+        ...Object.entries(BUILT_IN_ROLES).filter(([, granted]) => roleAllows(granted, permission)).map(([name]) => name),
+        ...customRoles.filter(role => roleAllows(role.permissions, permission)).map(role => role.name)
+    ];
+    const users = await usersCollection.find({ role: { $in: roleNames } }).project({ email: 1 }).toArray();
+    return users.map(user => user.email);
+};
+
+// Stores the notification in each recipient's inbox, then emails those who haven't opted out.
+// Resolves to the number of recipients.
+const deliverNotification = async (type, data) => {
+    const { audience, render } = NOTIFICATION_TYPES[type];
+    const recipients = new Set(audience ? await getUsersWithPermission(audience) : [].concat(data.to || []));
+    const { title, body, link } = render(data);
+    const { to, ...details } = data;
+    for (const email of recipients) {
+        const { insertedId } = await notificationsCollection.insertOne({
+            userEmail: email, type, title, body, link, data: details, readAt: null, emailStatus: 'pending', createdAt: new Date()
+        });
+        const user = await usersCollection.findOne({ email }, { projection: { name: 1, notificationPreferences: 1 } });
+        let emailStatus = 'skipped';
+        if (resolveEmailPreferences(user?.notificationPreferences?.emailDisabled)[type]) {
+            try {
+                const message = renderNotificationEmail({ title, body, link }, { appUrl: process.env.CLIENT_URL, recipientName: user?.name });
+                await mailTransport.send({ to: email, ...message });
+                emailStatus = 'sent';
+            } catch (err) {
+                console.error(`❌ Failed to email ${type} notification:`, err);
+                emailStatus = 'failed';
+            }
+        }
+        await notificationsCollection.updateOne({ _id: insertedId }, { $set: { emailStatus } });
+    }
+    return recipients.size;
+};
+
+// A failed delivery is logged and never reaches the request that triggered it
+const notify = (type, data) => deliverNotification(type, data)
+    .catch(err => console.error(`❌ Failed to deliver ${type} notification:`, err));
+
+// --- Instructor Applications & Profiles ---
+const MAX_EXPERTISE = 10;
+const MAX_SAMPLE_LINKS = 5;
+
+// Shared by applications (all fields required) and profile edits (partial)
+const parseInstructorProfileInput = (body, { partial = false } = {}) => {
+    const data = {};
+    const { bio, expertise, sampleLinks, headline } = body || {};
+    if (bio !== undefined || !partial) {
+        if (typeof bio !== 'string' || bio.trim().length < 20) return { error: 'Bio must be at least 20 characters' };
+        data.bio = bio.trim();
+    }
+    if (expertise !== undefined || !partial) {
+        const list = typeof expertise === 'string' ? expertise.split(',') : expertise;
+        if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) return { error: 'Expertise must be a list of topics' };
+        const topics = [...new Set(list.map(item => item.trim()).filter(Boolean))];
+        if (topics.length === 0 || topics.length > MAX_EXPERTISE) return { error: `List 1-${MAX_EXPERTISE} areas of expertise` };
+        data.expertise = topics;
+    }
+    if (sampleLinks !== undefined || !partial) {
+        if (!Array.isArray(sampleLinks) || sampleLinks.length === 0 || sampleLinks.length > MAX_SAMPLE_LINKS || sampleLinks.some(link => !isHttpUrl(link))) {
+            return { error: `Provide 1-${MAX_SAMPLE_LINKS} sample material links (http/https)` };
+        }
+        data.sampleLinks = sampleLinks;
+    }
+    if (headline !== undefined) {
+        if (typeof headline !== 'string' || headline.length > 120) return { error: 'Headline must be at most 120 characters' };
+        data.headline = headline.trim();
+    }
+    return { data };
+};
+
+// Public instructor stats over their live (approved, not archived) courses
+const getInstructorStats = async (email) => {
+    const courses = await coursesCollection
+        .find({ instructorEmail: email, deletedAt: null, $or: [{ status: 'approved' }, { status: { $exists: false } }] })
+        .project({ ...COURSE_REVIEW_FIELDS_PROJECTION, heldSeats: 0, waitlistSeq: 0 })
+        .sort({ enrollmentCount: -1 }).toArray();
+    const totalStudents = courses.reduce((sum, course) => sum + (course.enrollmentCount || 0), 0);
+    const reviewCount = courses.reduce((sum, course) => sum + (course.reviewCount || 0), 0);
+    // Weighted by review count so a course with one review doesn't count as much as one with a hundred
+    const ratingSum = courses.reduce((sum, course) => sum + (course.averageRating || 0) * (course.reviewCount || 0), 0);
+    return {
+        courses, courseCount: courses.length, totalStudents, reviewCount,
+        averageRating: reviewCount > 0 ? Math.round((ratingSum / reviewCount) * 100) / 100 : 0
+    };
+};
+
+// --- Account Data ---
+// Deletion is requested, then finalized after ACCOUNT_DELETION_GRACE_DAYS by POST /admin/account-deletions/finalize.
+// Financial records (payments, refunds, coupon redemptions) and reviews are kept under an anonymous id;
+// everything else tied to the email is removed. Audit entries are kept as they are.
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+// Everything stored about a user, for GET /users/:email/export
+const collectUserData = async (email) => {
+    const byEmail = { userEmail: email };
+    const [profile, instructorProfile] = await Promise.all([
+        usersCollection.findOne({ email }),
+        instructorProfilesCollection.findOne(byEmail)
+    ]);
+    return {
+        exportedAt: new Date(),
+        profile, instructorProfile,
+        sessions: await sessionsCollection.find(byEmail).project({ refreshTokenHash: 0, previousTokenHash: 0 }).toArray(),
+        notifications: await notificationsCollection.find(byEmail).toArray(),
+        enrollments: await enrollmentsCollection.find(byEmail).toArray(),
+        progress: await progressCollection.find(byEmail).toArray(),
+        certificates: await certificatesCollection.find(byEmail).toArray(),
+        waitlist: await waitlistCollection.find(byEmail).toArray(),
+        reviews: await reviewsCollection.find(byEmail).project({ helpfulBy: 0 }).toArray(),
+        reviewsMarkedHelpful: await reviewsCollection.find({ helpfulBy: email }).project({ _id: 1, courseId: 1 }).toArray(),
+        reviewReports: await reviewReportsCollection.find({ reporterEmail: email }).toArray(),
+        payments: await paymentsCollection.find(byEmail).toArray(),
+        refundRequests: await refundRequestsCollection.find(byEmail).toArray(),
+        revokedEnrollments: await enrollmentRevocationsCollection.find(byEmail).toArray(),
+        couponRedemptions: await couponRedemptionsCollection.find(byEmail).toArray(),
+        instructorApplications: await instructorApplicationsCollection.find(byEmail).toArray(),
+        coursesOwned: await coursesCollection.find({ instructorEmail: email }).project(COURSE_REVIEW_FIELDS_PROJECTION).toArray(),
+        earnings: await ledgerCollection.find({ instructorEmail: email }).toArray(),
+        payouts: await payoutsCollection.find({ instructorEmail: email }).toArray(),
+        collaborations: await coursesCollection.find({ 'collaborators.email': email }).project({ courseTitle: 1, instructorEmail: 1 }).toArray()
+    };
+};
+
+const finalizeAccountDeletion = async (email) => {
+    const anonymousId = `deleted-${crypto.randomBytes(6).toString('hex')}`;
+    const byEmail = { userEmail: email };
+    // Free seats and held waitlist spots first so the next students get them
+    const enrollments = await enrollmentsCollection.find(byEmail).project({ courseId: 1 }).toArray();
+    for (const { courseId } of enrollments) await removeEnrollment({ userEmail: email, courseId });
+    const waitlistEntries = await waitlistCollection.find({ ...byEmail, status: { $in: ['waiting', 'offered'] } }).project({ courseId: 1 }).toArray();
+    for (const { courseId } of waitlistEntries) await leaveWaitlist(courseId, email);
+
+    const anonymize = { $set: { userEmail: anonymousId } };
+    await reviewsCollection.updateMany(byEmail, { $set: { userEmail: anonymousId, userName: 'Deleted user', userPhoto: null } });
+    await reviewsCollection.updateMany({ helpfulBy: email }, { $pull: { helpfulBy: email }, $inc: { helpfulCount: -1 } });
+    await reviewReportsCollection.updateMany({ reporterEmail: email }, { $set: { reporterEmail: anonymousId } });
+    await paymentsCollection.updateMany(byEmail, anonymize);
+    await couponRedemptionsCollection.updateMany(byEmail, anonymize);
+    await refundRequestsCollection.updateMany(byEmail, anonymize);
+    await ledgerCollection.updateMany(byEmail, anonymize);
+    await ledgerCollection.updateMany({ instructorEmail: email }, { $set: { instructorEmail: anonymousId } });
+    await payoutsCollection.updateMany({ instructorEmail: email }, { $set: { instructorEmail: anonymousId } });
+    await refundRequestsCollection.updateMany(
+        { 'history.actor': email },
+        { $set: { 'history.$[entry].actor': anonymousId } },
+        { arrayFilters: [{ 'entry.actor': email }] }
+    );
+    await coursesCollection.updateMany({ 'collaborators.email': email }, { $pull: { collaborators: { email } } });
+
+    const removed = {};
+    for (const [name, collection, filter] of [
+        ['enrollments', enrollmentsCollection, byEmail],
+        ['progress', progressCollection, byEmail],
+        ['certificates', certificatesCollection, byEmail],
+        ['waitlist', waitlistCollection, byEmail],
+        ['sessions', sessionsCollection, byEmail],
+        ['notifications', notificationsCollection, byEmail],
+        ['instructorApplications', instructorApplicationsCollection, byEmail],
+        ['instructorProfiles', instructorProfilesCollection, byEmail],
+        ['enrollmentLocks', enrollmentLocksCollection, { _id: email }],
+        ['enrollmentRevocations', enrollmentRevocationsCollection, byEmail],
+        ['users', usersCollection, { email }]
+    ]) {
+        removed[name] = (await collection.deleteMany(filter)).deletedCount;
+    }
+    await recordAudit({ email: 'system', role: 'system', ip: null, requestId: null }, {
+        action: 'user.delete', targetType: 'user', targetId: anonymousId, before: null, after: removed
+    });
+    return { anonymousId, removed };
+};
+
+// --- Refund Requests ---
+// pending → approved → refunded (or failed if Stripe rejects it), or pending → denied.
+// Every transition is appended to the request's `history` so support can follow it.
+const REFUND_WINDOW_DAYS = parseInt(process.env.REFUND_WINDOW_DAYS, 10) || 14;
+
+const refundHistoryEntry = (status, actor, role, note = null) => ({ status, actor, role, note, at: new Date() });
+
+// --- Earnings Ledger & Payouts ---
+// Every Stripe sale and refund is booked against the course's instructor (see utils/ledger.js).
+// Unpaid entries (payoutId: null) make up the instructor's balance until an admin records a payout.
+const PLATFORM_COMMISSION_PERCENT = Number(process.env.PLATFORM_COMMISSION_PERCENT ?? 20);
+
+// The instructor's own rate if an admin set one, otherwise the platform default
+const getCommissionPercent = async (instructorEmail) => {
+    const user = await usersCollection.findOne({ email: instructorEmail }, { projection: { commissionPercent: 1 } });
+    return user?.commissionPercent ?? PLATFORM_COMMISSION_PERCENT;
+};
+
+const insertLedgerEntry = async (entry) => {
+    try {
+        await ledgerCollection.insertOne(entry);
+    } catch (err) {
+        if (err.code !== 11000) throw err; // Already booked by an earlier delivery of the event
+    }
+};
+
+const recordSale = async (intent, { instructorEmail, courseId, cohortId, courseTitle, userEmail }) => {
+    const amountCents = intent.amount_received ?? intent.amount;
+    if (!instructorEmail || !(amountCents > 0)) return;
+    await insertLedgerEntry(buildSaleEntry({
+        paymentIntentId: intent.id, instructorEmail, courseId, cohortId, courseTitle, userEmail,
+        currency: intent.currency, amountCents, commissionPercent: await getCommissionPercent(instructorEmail)
+    }));
+};
+
+const recordRefund = async (paymentIntentId, refundedToDateCents) => {
+    const sale = await ledgerCollection.findOne({ paymentIntentId, type: 'sale' });
+    if (!sale) return;
+    const [booked] = await ledgerCollection.aggregate([
+        { $match: { paymentIntentId, type: 'refund' } },
+        { $group: { _id: null, refundedCents: { $sum: { $multiply: ['$grossCents', -1] } } } }
+    ]).toArray();
+    const entry = buildRefundEntry(sale, { refundedToDateCents, alreadyRefundedCents: booked?.refundedCents || 0 });
+    if (entry) await insertLedgerEntry(entry);
+};
+
+const sumBy = (condition, field) => ({ $sum: condition ? { $cond: [condition, field, 0] } : field });
+const LEDGER_TOTALS = {
+    salesCount: sumBy({ $eq: ['$type', 'sale'] }, 1),
+    salesCents: sumBy({ $eq: ['$type', 'sale'] }, '$grossCents'),
+    refundsCents: sumBy({ $eq: ['$type', 'refund'] }, { $multiply: ['$grossCents', -1] }),
+    commissionCents: sumBy(null, '$commissionCents'),
+    netCents: sumBy(null, '$netCents')
+};
+
+// Unpaid balance per instructor and currency, with when they were last paid
+const getPayoutBalances = async (match = {}) => {
+    const balances = await ledgerCollection.aggregate([
+        { $match: { ...match, payoutId: null } },
+        { $group: { _id: { instructorEmail: '$instructorEmail', currency: '$currency' }, ...LEDGER_TOTALS, entryCount: { $sum: 1 }, since: { $min: '$createdAt' } } },
+        { $project: { _id: 0, instructorEmail: '$_id.instructorEmail', currency: '$_id.currency', salesCount: 1, salesCents: 1, refundsCents: 1, commissionCents: 1, balanceCents: '$netCents', entryCount: 1, since: 1 } },
+        { $sort: { balanceCents: -1, instructorEmail: 1 } }
+    ]).toArray();
+    const lastPayouts = await payoutsCollection.aggregate([
+        { $match: { instructorEmail: { $in: balances.map(balance => balance.instructorEmail) } } },
+        { $group: { _id: { instructorEmail: '$instructorEmail', currency: '$currency' }, lastPaidAt: { $max: '$paidAt' } } }
+    ]).toArray();
+    return balances.map(balance => ({
+        ...balance,
+        lastPaidAt: lastPayouts.find(p => p._id.instructorEmail === balance.instructorEmail && p._id.currency === balance.currency)?.lastPaidAt || null
+    }));
+};
+
+const PAYOUT_BALANCE_CSV_COLUMNS = ['instructorEmail', 'currency', 'salesCount', 'sales', 'refunds', 'commission', 'balance', 'entryCount', 'since', 'lastPaidAt'];
+const PAYOUT_HISTORY_CSV_COLUMNS = ['paidAt', 'instructorEmail', 'currency', 'amount', 'entryCount', 'reference', 'note', 'paidBy'];
+
+// --- Admin Stats ---
+// Dashboard figures for GET /admin/stats. Daily series are UTC days with empty days filled in.
+// Each result is cached per range for ADMIN_STATS_CACHE_SECONDS so reloading the dashboard is cheap.
+const ADMIN_STATS_CACHE_MS = Number(process.env.ADMIN_STATS_CACHE_SECONDS ?? 60) * 1000;
+const ADMIN_STATS_DEFAULT_DAYS = 30;
+const ADMIN_STATS_MAX_DAYS = 366;
+const adminStatsCache = new Map();
+
+const utcDay = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+
+// One row per day from `from` to `to`, using `rows` ({ _id: 'YYYY-MM-DD', ... }) where present
+const fillDays = (from, to, rows, empty) => {
+    const byDay = new Map(rows.map(({ _id, ...values }) => [_id, values]));
+    const days = [];
+    const day = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+    for (; day <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+        const date = day.toISOString().slice(0, 10);
+        days.push({ date, ...empty, ...byDay.get(date) });
+    }
+    return days;
+};
+
+const fillRate = (fill) => (fill?.seats ? Math.round((fill.filled / fill.seats) * 10000) / 10000 : 0);
+
+const buildAdminStats = async ({ from, to, top }) => {
+    const range = { $gte: from, $lte: to };
+    const liveCourse = { $or: [{ status: 'approved' }, { status: { $exists: false } }], deletedAt: null };
+    const [
+        userCount, usersByRole, newUsers, enrollmentCount, newEnrollments, revenueTotals, revenueByDay,
+        coursesByStatus, archivedCourses, topInstructors, topRatedCourses, [seatFill], [cohortSeatFill]
+    ] = await Promise.all([
+        usersCollection.countDocuments({}),
+        usersCollection.aggregate([
+            { $group: { _id: { $ifNull: ['$role', 'student'] }, count: { $sum: 1 } } },
+            { $project: { _id: 0, role: '$_id', count: 1 } },
+            { $sort: { count: -1 } }
+        ]).toArray(),
+        usersCollection.aggregate([
+            { $match: { createdAt: range } },
+            { $group: { _id: utcDay('$createdAt'), count: { $sum: 1 } } }
+        ]).toArray(),
+        enrollmentsCollection.countDocuments({}),
+        enrollmentsCollection.aggregate([
+            { $match: { enrolledAt: range } },
+            { $group: { _id: utcDay('$enrolledAt'), count: { $sum: 1 } } }
+        ]).toArray(),
+        ledgerCollection.aggregate([
+            { $match: { createdAt: range } },
+            { $group: { _id: '$currency', ...LEDGER_TOTALS } },
+            { $project: { _id: 0, currency: '$_id', salesCount: 1, salesCents: 1, refundsCents: 1, commissionCents: 1, netCents: 1 } },
+            { $sort: { salesCents: -1 } }
+        ]).toArray(),
+        ledgerCollection.aggregate([
+            { $match: { createdAt: range } },
+            { $group: { _id: { currency: '$currency', day: utcDay('$createdAt') }, ...LEDGER_TOTALS } }
+        ]).toArray(),
+        // Courses from before the review workflow have no status and are listed as approved
+        coursesCollection.aggregate([
+            { $match: { deletedAt: null } },
+            { $group: { _id: { $ifNull: ['$status', 'approved'] }, count: { $sum: 1 } } }
+        ]).toArray(),
+        coursesCollection.countDocuments({ deletedAt: { $type: 'date' } }),
+        // Ranked by enrollments in the range; enrollments store the course id as a string
+        enrollmentsCollection.aggregate([
+            { $match: { enrolledAt: range } },
+            { $group: { _id: '$courseId', enrollments: { $sum: 1 } } },
+            { $set: { courseObjectId: { $convert: { input: '$_id', to: 'objectId', onError: null, onNull: null } } } },
+            { $lookup: { from: 'courses', localField: 'courseObjectId', foreignField: '_id', pipeline: [{ $project: { instructorEmail: 1 } }], as: 'course' } },
+            { $unwind: '$course' },
+            { $group: { _id: '$course.instructorEmail', enrollments: { $sum: '$enrollments' }, courses: { $sum: 1 } } },
+            { $sort: { enrollments: -1, _id: 1 } },
+            { $limit: top },
+            { $project: { _id: 0, instructorEmail: '$_id', enrollments: 1, courses: 1 } }
+        ]).toArray(),
+        coursesCollection.find({ ...liveCourse, reviewCount: { $gt: 0 } })
+            .project({ courseTitle: 1, instructorEmail: 1, averageRating: 1, reviewCount: 1, enrollmentCount: 1 })
+            .sort({ averageRating: -1, reviewCount: -1 }).limit(top).toArray(),
+        // `seats` counts what's left, so capacity is seats + heldSeats + enrollmentCount (as in
+        // jobs/reconcileSeats.js). Courses that run in cohorts are measured per cohort below.
+        coursesCollection.aggregate([
+            { $match: liveCourse },
+            { $lookup: {
+                from: 'cohorts', let: { courseId: { $toString: '$_id' } },
+                pipeline: [{ $match: { $expr: { $eq: ['$courseId', '$$courseId'] } } }, { $limit: 1 }, { $project: { _id: 1 } }],
+                as: 'cohorts'
+            } },
+            { $match: { cohorts: { $size: 0 } } },
+            { $set: {
+                remaining: { $max: [{ $ifNull: ['$seats', 0] }, 0] },
+                filled: { $ifNull: ['$enrollmentCount', 0] }
+            } },
+            { $set: { capacity: { $add: ['$remaining', { $ifNull: ['$heldSeats', 0] }, '$filled'] } } },
+            { $match: { capacity: { $gt: 0 } } },
+            { $group: {
+                _id: null, courses: { $sum: 1 }, seats: { $sum: '$capacity' }, filled: { $sum: '$filled' },
+                fullCourses: { $sum: { $cond: [{ $eq: ['$remaining', 0] }, 1, 0] } }
+            } }
+        ]).toArray(),
+        // Cohorts of live courses that haven't ended yet
+        cohortsCollection.aggregate([
+            { $match: { endDate: { $gte: new Date() } } },
+            { $set: { courseObjectId: { $convert: { input: '$courseId', to: 'objectId', onError: null, onNull: null } } } },
+            { $lookup: { from: 'courses', localField: 'courseObjectId', foreignField: '_id', pipeline: [{ $match: liveCourse }, { $project: { _id: 1 } }], as: 'course' } },
+            { $match: { course: { $ne: [] } } },
+            { $group: {
+                _id: null, cohorts: { $sum: 1 }, seats: { $sum: '$capacity' },
+                filled: { $sum: { $min: ['$enrollmentCount', '$capacity'] } },
+                fullCohorts: { $sum: { $cond: [{ $gte: ['$enrollmentCount', '$capacity'] }, 1, 0] } }
+            } }
+        ]).toArray()
+    ]);
+
+    const instructorRevenue = await ledgerCollection.aggregate([
+        { $match: { instructorEmail: { $in: topInstructors.map(i => i.instructorEmail) }, createdAt: range } },
+        { $group: { _id: { instructorEmail: '$instructorEmail', currency: '$currency' }, salesCents: LEDGER_TOTALS.salesCents, netCents: LEDGER_TOTALS.netCents } }
+    ]).toArray();
+    const currencies = [...new Set(revenueByDay.map(row => row._id.currency))].sort();
+    const emptyRevenueDay = { salesCount: 0, salesCents: 0, refundsCents: 0, commissionCents: 0, netCents: 0 };
+
+    return {
+        range: { from, to },
+        totals: {
+            users: userCount,
+            newUsers: newUsers.reduce((sum, row) => sum + row.count, 0),
+            enrollments: enrollmentCount,
+            newEnrollments: newEnrollments.reduce((sum, row) => sum + row.count, 0),
+            courses: coursesByStatus.reduce((sum, row) => sum + row.count, 0) + archivedCourses,
+            revenue: revenueTotals
+        },
+        usersByRole,
+        coursesByStatus: {
+            pending: 0, approved: 0, rejected: 0,
+            ...Object.fromEntries(coursesByStatus.map(row => [row._id, row.count])),
+            archived: archivedCourses
+        },
+        series: {
+            newUsers: fillDays(from, to, newUsers, { count: 0 }),
+            enrollments: fillDays(from, to, newEnrollments, { count: 0 }),
+            revenue: currencies.map(currency => ({
+                currency,
+                days: fillDays(from, to, revenueByDay
+                    .filter(row => row._id.currency === currency)
+                    .map(({ _id, ...totals }) => ({ _id: _id.day, ...totals })), emptyRevenueDay)
+            }))
+        },
+        topInstructors: topInstructors.map(instructor => ({
+            ...instructor,
+            revenue: instructorRevenue
+                .filter(row => row._id.instructorEmail === instructor.instructorEmail)
+                .map(row => ({ currency: row._id.currency, salesCents: row.salesCents, netCents: row.netCents }))
+        })),
+        topRatedCourses,
+        seatFill: {
+            courses: seatFill?.courses || 0, seats: seatFill?.seats || 0, filled: seatFill?.filled || 0,
+            fullCourses: seatFill?.fullCourses || 0, rate: fillRate(seatFill),
+            cohorts: {
+                cohorts: cohortSeatFill?.cohorts || 0, seats: cohortSeatFill?.seats || 0, filled: cohortSeatFill?.filled || 0,
+                fullCohorts: cohortSeatFill?.fullCohorts || 0, rate: fillRate(cohortSeatFill)
+            }
+        }
+    };
+};
+
+// Concurrent reloads share one computation; failures aren't cached
+const getAdminStats = (key, options) => {
+    const now = Date.now();
+    for (const [cachedKey, entry] of adminStatsCache) {
+        if (now - entry.computedAt >= ADMIN_STATS_CACHE_MS) adminStatsCache.delete(cachedKey);
+    }
+    const cached = adminStatsCache.get(key);
+    if (cached) return cached.stats;
+    const stats = buildAdminStats(options).then(result => ({ ...result, generatedAt: new Date() }));
+    adminStatsCache.set(key, { stats, computedAt: now });
+    stats.catch(() => adminStatsCache.delete(key));
+    return stats;
+};
+
+// --- Stripe Event Handlers ---
+const getPaymentIntentId = (charge) => (
+    typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent?.id
+);
+
+const handlePaymentSucceeded = async (intent) => {
+    const { courseId, cohortId, userEmail, couponId, couponCode, originalAmount } = intent.metadata || {};
+    if (!userEmail || !ObjectId.isValid(courseId)) {
+        console.warn(`⚠️ PaymentIntent ${intent.id} has no usable courseId/userEmail metadata.`);
+        return;
+    }
+    const amountCharged = intent.amount_received ?? intent.amount;
+    // Intents made before coupons recorded `originalAmount` (or by hand) count as undiscounted
+    const originalCents = originalAmount ? parseInt(originalAmount, 10) : amountCharged;
+    await paymentsCollection.updateOne(
+        { paymentIntentId: intent.id },
+        {
+            $set: {
+                userEmail, courseId, cohortId: cohortId || null, amount: amountCharged,
+                currency: intent.currency, status: 'succeeded', updatedAt: new Date(),
+                couponCode: couponCode || null, originalAmount: originalCents
+            },
+            $setOnInsert: { paymentIntentId: intent.id, createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+    if (couponId && ObjectId.isValid(couponId)) {
+        const alreadyRedeemed = await couponRedemptionsCollection.findOne({ paymentIntentId: intent.id });
+        if (!alreadyRedeemed) {
+            await redeemCoupon({
+                coupon: { _id: new ObjectId(couponId), code: couponCode }, userEmail, courseId,
+                paymentIntentId: intent.id, discountCents: originalCents - amountCharged, force: true
+            });
+        }
+    }
+    const courseObjectId = new ObjectId(courseId);
+    const course = await coursesCollection.findOne({ _id: courseObjectId });
+    // Booked even if the course is gone, since the money was taken
+    await recordSale(intent, {
+        instructorEmail: course?.instructorEmail || intent.metadata.instructorEmail, courseId, cohortId: cohortId || null,
+        courseTitle: course?.courseTitle || null, userEmail
+    });
+    if (!course) {
+        console.error(`❌ Paid course ${courseId} no longer exists (PaymentIntent ${intent.id}).`);
+        return;
+    }
+    const cohort = ObjectId.isValid(cohortId) ? await cohortsCollection.findOne({ _id: new ObjectId(cohortId), courseId }) : null;
+    if (cohortId && !cohort) {
+        // Deleted while the payment was in flight; enroll in the course and flag it like a full course
+        console.warn(`⚠️ Cohort ${cohortId} of course ${courseId} no longer exists (PaymentIntent ${intent.id}).`);
+    }
+    let result;
+    try {
+        result = await createEnrollment({
+            userEmail, courseId, courseTitle: course.courseTitle, cohort, paymentIntentId: intent.id,
+            enforceLimit: false, allowOversell: true
+        });
+    } catch (err) {
+        if (err.status !== 400) throw err;
+        // Already enrolled: a redelivered event for the same payment is fine, but a second
+        // purchase means the student was charged twice, so flag it for a refund
+        const existing = await enrollmentsCollection.findOne({ userEmail, courseId }, { projection: { paymentIntentId: 1 } });
+        if (existing?.paymentIntentId === intent.id) return;
+        await paymentsCollection.updateOne({ paymentIntentId: intent.id }, { $set: { duplicateEnrollment: true } });
+        console.warn(`⚠️ ${userEmail} was already enrolled in course ${courseId} when PaymentIntent ${intent.id} succeeded; refund it.`);
+        return;
+    }
+    if (result.seatConflict || (cohortId && !cohort)) {
+        // The student has already paid, so keep the enrollment and flag the payment for follow-up
+        await paymentsCollection.updateOne({ paymentIntentId: intent.id }, { $set: { seatConflict: true } });
+        if (result.seatConflict) console.warn(`⚠️ ${cohort ? `Cohort ${cohortId}` : `Course ${courseId}`} was full when PaymentIntent ${intent.id} succeeded.`);
+    }
+};
+
+const handlePaymentFailed = async (intent) => {
+    const { courseId, userEmail } = intent.metadata || {};
+    await paymentsCollection.updateOne(
+        { paymentIntentId: intent.id },
+        {
+            $set: {
+                userEmail: userEmail || null, courseId: courseId || null,
+                amount: intent.amount, currency: intent.currency, status: 'failed',
+                failureMessage: intent.last_payment_error?.message || null, updatedAt: new Date()
+            },
+            $setOnInsert: { paymentIntentId: intent.id, createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+};
+
+const handleChargeRefunded = async (charge, eventId) => {
+    const paymentIntentId = getPaymentIntentId(charge);
+    if (!paymentIntentId) return;
+    const payment = await paymentsCollection.findOne({ paymentIntentId });
+    const courseId = payment?.courseId || charge.metadata?.courseId;
+    const userEmail = payment?.userEmail || charge.metadata?.userEmail;
+    const fullyRefunded = charge.refunded === true;
+    await paymentsCollection.updateOne(
+        { paymentIntentId },
+        {
+            $set: {
+                status: fullyRefunded ? 'refunded' : 'partially_refunded',
+                amountRefunded: charge.amount_refunded, updatedAt: new Date()
+            },
+            $setOnInsert: { paymentIntentId, courseId: courseId || null, userEmail: userEmail || null, createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+    await recordAudit({ email: 'stripe', role: 'system', ip: null, requestId: eventId || null }, {
+        action: 'payment.refunded', targetType: 'payment', targetId: paymentIntentId,
+        before: payment ? { status: payment.status, amountRefunded: payment.amountRefunded || 0 } : null,
+        after: { status: fullyRefunded ? 'refunded' : 'partially_refunded', amountRefunded: charge.amount_refunded }
+    });
+    await recordRefund(paymentIntentId, charge.amount_refunded);
+    // Partial refunds keep access; only a full refund revokes the enrollment
+    if (!fullyRefunded || !userEmail || !ObjectId.isValid(courseId)) return;
+    await removeEnrollment({
+        userEmail, courseId, paymentIntentId,
+        revocation: { reason: 'Refunded through Stripe', actor: 'stripe', role: 'system' }
+    });
+    // Refunds issued from the Stripe dashboard close any open request for the same payment
+    await refundRequestsCollection.updateMany(
+        { paymentIntentId, status: { $in: ['pending', 'approved', 'failed'] } },
+        {
+            $set: { status: 'refunded', updatedAt: new Date() },
+            $push: { history: refundHistoryEntry('refunded', 'stripe', 'system', 'Refund confirmed by Stripe') }
+        }
+    );
+};
+
+const handleStripeEvent = async (event) => {
+    switch (event.type) {
+        case 'payment_intent.succeeded':
+            return handlePaymentSucceeded(event.data.object);
+        case 'payment_intent.payment_failed':
+            return handlePaymentFailed(event.data.object);
+        case 'charge.refunded':
+            return handleChargeRefunded(event.data.object, event.id);
+        default:
+            console.log(`ℹ️ Ignoring Stripe event type: ${event.type}`);
+    }
+};
+
+// --- Main Async Function to Setup DB and Routes ---
+async function run() {
+    try {
+        // await client.connect(); // Commented out
+        db = client.db('coursehub_db');
+        coursesCollection = db.collection('courses');
+        usersCollection = db.collection('users');
+        enrollmentsCollection = db.collection('enrollments');
+        reviewsCollection = db.collection('reviews');
+        paymentsCollection = db.collection('payments');
+        stripeEventsCollection = db.collection('stripe_events');
+        waitlistCollection = db.collection('waitlist');
+        sectionsCollection = db.collection('sections');
+        lessonsCollection = db.collection('lessons');
+        progressCollection = db.collection('progress');
+        certificatesCollection = db.collection('certificates');
+        couponsCollection = db.collection('coupons');
+        couponRedemptionsCollection = db.collection('coupon_redemptions');
+        refundRequestsCollection = db.collection('refund_requests');
+        categoriesCollection = db.collection('categories');
+        reviewReportsCollection = db.collection('review_reports');
+        auditLogsCollection = db.collection('audit_logs');
+        sessionsCollection = db.collection('sessions');
+        instructorApplicationsCollection = db.collection('instructor_applications');
+        instructorProfilesCollection = db.collection('instructor_profiles');
+        rolesCollection = db.collection('roles');
+        notificationsCollection = db.collection('notifications');
+        ledgerCollection = db.collection('earnings_ledger');
+        payoutsCollection = db.collection('payouts');
+        cohortsCollection = db.collection('cohorts');
+        enrollmentLocksCollection = db.collection('enrollment_locks');
+        enrollmentRevocationsCollection = db.collection('enrollment_revocations');
+        ensureIndexes();
+
+        // await client.db("admin").command({ ping: 1 }); // Commented out
+        isDbConnected = true;
+        console.log("✅ MongoDB collections initialized!");
+
+        // --- Authentication Routes ---
+        app.post('/jwt', authRateLimit, validate('POST /jwt'), async (req, res) => {
+             const { token: firebaseToken } = req.body;
+             if (!firebaseToken) return res.status(400).send({ error: true, message: "Missing Firebase ID token" });
+             let decodedToken;
+             try {
+                 decodedToken = await admin.auth().verifyIdToken(firebaseToken);
+             } catch (err) {
+                 console.error("❌ Firebase token verify failed:", err);
+                 return res.status(401).send({ error: true, message: "Invalid Firebase token" });
+             }
+             if (!decodedToken.email) return res.status(401).send({ error: true, message: "Firebase token is missing email." });
+             if (!isDbConnected || !sessionsCollection) return res.status(503).send({ error: true, message: 'Service temporarily unavailable. Please try again shortly.' });
+             // A failure from here on is ours, not the client's token
+             try {
+                 const user = { email: decodedToken.email, uid: decodedToken.uid };
+                 const { sessionId, refreshToken } = await createSession(req, user);
+                 setAuthCookies(res, { ...user, sessionId, refreshToken });
+                 res.send({ success: true, sessionId });
+             } catch (err) {
+                 console.error("❌ Error creating session:", err);
+                 res.status(500).send({ error: true, message: 'Failed to start session' });
+             }
+        });
+
+        // POST Rotate the refresh token and issue a fresh access token
+        app.post('/auth/refresh', authRateLimit, checkDbConnection, validate('POST /auth/refresh'), async (req, res) => {
+             const { refreshToken } = req.cookies;
+             if (!refreshToken) return res.status(401).send({ error: true, message: 'Unauthorized: No refresh token.' });
+             try {
+                 const rotated = await rotateSession(req, refreshToken);
+                 if (!rotated) {
+                     clearAuthCookies(res);
+                     return res.status(401).send({ error: true, code: 'session_revoked', message: 'Unauthorized: Session has ended.' });
+                 }
+                 const { session } = rotated;
+                 setAuthCookies(res, { email: session.userEmail, uid: session.uid, sessionId: session._id, refreshToken: rotated.refreshToken });
+                 res.send({ success: true });
+             } catch (err) {
+                 console.error("❌ Token refresh failed:", err);
+                 res.status(500).send({ error: true, message: 'Refresh failed' });
+             }
+        });
+
+        // POST Logout: ends this session (found via the refresh cookie) and clears both cookies
+        app.post('/logout', validate('POST /logout'), async (req, res) => {
+             try {
+                 const { refreshToken } = req.cookies;
+                 if (refreshToken && isDbConnected && sessionsCollection) {
+                     await revokeSessions({ refreshTokenHash: hashToken(refreshToken) }, 'logout');
+                 }
+                 clearAuthCookies(res);
+                 res.send({ success: true });
+             } catch (err) {
+                 console.error("❌ Logout error:", err);
+                 res.status(500).send({ error: true, message: "Logout failed" });
+             }
+        });
+
+        // --- Session Routes ---
+        app.get('/sessions', verifyJWT, checkDbConnection, validate('GET /sessions'), async (req, res) => {
+             try {
+                 const sessions = await sessionsCollection
+                     .find({ userEmail: req.decoded.email, revokedAt: null, expiresAt: { $gt: new Date() } })
+                     .project({ userAgent: 1, ip: 1, createdAt: 1, lastUsedAt: 1, expiresAt: 1 })
+                     .sort({ lastUsedAt: -1 }).toArray();
+                 res.json(sessions.map(session => ({ ...session, current: session._id.toString() === req.decoded.sid })));
+             } catch (err) {
+                 console.error("❌ Error fetching sessions:", err);
+                 res.status(500).json({ error: 'Failed to fetch sessions' });
+             }
+        });
+
+        app.delete('/sessions/:id', verifyJWT, checkDbConnection, validate('DELETE /sessions/:id'), async (req, res) => {
+             const { id } = req.params;
+             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+             try {
+                 const result = await revokeSessions({ _id: new ObjectId(id), userEmail: req.decoded.email }, 'user_revoked');
+                 if (result.matchedCount === 0) return res.status(404).json({ error: 'Session not found' });
+                 if (id === req.decoded.sid) clearAuthCookies(res);
+                 res.json({ message: 'Session revoked' });
+             } catch (err) {
+                 console.error("❌ Error revoking session:", err);
+                 res.status(500).json({ error: 'Failed to revoke session' });
+             }
+        });
+
+        // DELETE Logout everywhere (this device included)
+        app.delete('/sessions', verifyJWT, checkDbConnection, validate('DELETE /sessions'), async (req, res) => {
+             try {
+                 const result = await revokeSessions({ userEmail: req.decoded.email }, 'logout_everywhere');
+                 clearAuthCookies(res);
+                 res.json({ message: 'Logged out everywhere', revoked: result.modifiedCount });
+             } catch (err) {
+                 console.error("❌ Error revoking all sessions:", err);
+                 res.status(500).json({ error: 'Failed to revoke sessions' });
+             }
+        });
+
+        // --- User Routes ---
+        app.get('/users/:email', verifyJWT, checkDbConnection, getUserRole, validate('GET /users/:email'), async (req, res) => {
+             const emailParam = req.params.email;
+             if (req.decoded.email !== emailParam) return res.status(403).json({ error: 'Forbidden' });
+            try {
+                 const user = await usersCollection.findOne({ email: emailParam });
+                 res.json(user || { email: emailParam, role: 'student' });
+            } catch (err) {
+                 console.error("❌ Error fetching user profile data:", err);
+                 res.status(500).json({ error: 'Failed to fetch user profile.' });
+            }
+        });
+
+        app.put('/users/:email', verifyJWT, checkDbConnection, validate('PUT /users/:email'), async (req, res) => {
+             const emailParam = req.params.email;
+             const userData = req.body;
+             if (req.decoded.email !== emailParam) return res.status(403).json({ error: 'Forbidden' });
+             if (!userData.name || !userData.photoURL) return res.status(400).json({ error: 'Name and photoURL are required.' });
+             const filter = { email: emailParam };
+             const updateDoc = {
+                 $set: {
+                     name: userData.name, photoURL: userData.photoURL,
+                     phone: userData.phone || "", address: userData.address || "",
+                     updatedAt: new Date(),
+                 },
+                 $setOnInsert: { email: emailParam, role: 'student', createdAt: new Date() }
+             };
+             const options = { upsert: true };
+            try {
+                 const result = await usersCollection.updateOne(filter, updateDoc, options);
+                 if (result.upsertedCount > 0) res.status(201).json({ message: "Profile created.", result });
+                 else if (result.modifiedCount > 0) res.status(200).json({ message: "Profile updated.", result });
+                 else res.status(200).json({ message: "No changes detected.", result });
+            } catch (err) {
+                 console.error("❌ Error updating user:", err);
+                 res.status(500).json({ error: 'Failed to update user profile.' });
+            }
+        });
+
+        // GET Download everything stored about your account as JSON
+        app.get('/users/:email/export', verifyJWT, checkDbConnection, getUserRole, validate('GET /users/:email/export'), async (req, res) => {
+             const { email } = req.params;
+             if (req.decoded.email !== email && !can(req, 'user:manage')) return res.status(403).json({ error: 'Forbidden' });
+             try {
+                 const data = await collectUserData(email);
+                 res.set('Content-Disposition', `attachment; filename="coursehub-export-${Date.now()}.json"`);
+                 res.json(data);
+             } catch (err) {
+                 console.error("❌ Error exporting user data:", err);
+                 res.status(500).json({ error: 'Export failed' });
+             }
+        });
+
+        // POST Request account deletion; signs out everywhere and becomes final after the grace period
+        app.post('/users/:email/deletion', verifyJWT, checkDbConnection, validate('POST /users/:email/deletion'), async (req, res) => {
+             const { email } = req.params;
+             if (req.decoded.email !== email) return res.status(403).json({ error: 'Forbidden' });
+             try {
+                 const liveCourses = await coursesCollection.countDocuments({ instructorEmail: email, deletedAt: null });
+                 if (liveCourses > 0) return res.status(400).json({ error: 'Archive or hand over your courses before deleting your account' });
+                 const now = new Date();
+                 const deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+                 const user = await usersCollection.findOne({ email });
+                 if (user?.deletionScheduledFor) return res.status(400).json({ error: 'Deletion already scheduled' });
+                 await usersCollection.updateOne(
+                     { email },
+                     { $set: { deletionRequestedAt: now, deletionScheduledFor }, $setOnInsert: { role: 'student', createdAt: now } },
+                     { upsert: true }
+                 );
+                 await revokeSessions({ userEmail: email }, 'account_deletion');
+                 clearAuthCookies(res);
+                 await recordAudit(auditActorFromRequest(req), {
+                     action: 'user.deletion_request', targetType: 'user', targetId: email, before: null, after: { deletionScheduledFor }
+                 });
+                 res.status(202).json({ message: 'Account scheduled for deletion; sign in and cancel before then to keep it', deletionScheduledFor });
+             } catch (err) {
+                 console.error("❌ Error scheduling account deletion:", err);
+                 res.status(500).json({ error: 'Deletion request failed' });
+             }
+        });
+
+        app.delete('/users/:email/deletion', verifyJWT, checkDbConnection, validate('DELETE /users/:email/deletion'), async (req, res) => {
+             const { email } = req.params;
+             if (req.decoded.email !== email) return res.status(403).json({ error: 'Forbidden' });
+             try {
+                 const result = await usersCollection.updateOne(
+                     { email, deletionScheduledFor: { $gt: new Date() } },
+                     { $set: { deletionRequestedAt: null, deletionScheduledFor: null } }
+                 );
+                 if (result.matchedCount === 0) return res.status(404).json({ error: 'No pending deletion' });
+                 await recordAudit(auditActorFromRequest(req), {
+                     action: 'user.deletion_cancel', targetType: 'user', targetId: email, before: null, after: null
+                 });
+                 res.json({ message: 'Account deletion cancelled' });
+             } catch (err) {
+                 console.error("❌ Error cancelling account deletion:", err);
+                 res.status(500).json({ error: 'Cancel failed' });
+             }
+        });
+
+        // --- Notification Routes ---
+        // GET Your inbox, newest first (?unread=true for unread only)
+        app.get('/notifications', verifyJWT, checkDbConnection, validate('GET /notifications'), async (req, res) => {
+             const userEmail = req.decoded.email;
+             const page = req.query.page ?? 1;
+             const limit = req.query.limit ?? 20;
+             const query = { userEmail };
+             if (req.query.unread) query.readAt = null;
+             try {
+                 const [notifications, total, unreadCount] = await Promise.all([
+                     notificationsCollection.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+                     notificationsCollection.countDocuments(query),
+                     notificationsCollection.countDocuments({ userEmail, readAt: null })
+                 ]);
+                 res.json({ notifications, unreadCount, total, page, limit, totalPages: Math.ceil(total / limit) });
+             } catch (err) {
+                 console.error("❌ Error fetching notifications:", err);
+                 res.status(500).json({ error: 'Failed to fetch notifications' });
+             }
+        });
+
+        app.get('/notifications/unread-count', verifyJWT, checkDbConnection, validate('GET /notifications/unread-count'), async (req, res) => {
+             try {
+                 const unreadCount = await notificationsCollection.countDocuments({ userEmail: req.decoded.email, readAt: null });
+                 res.json({ unreadCount });
+             } catch (err) {
+                 console.error("❌ Error counting unread notifications:", err);
+                 res.status(500).json({ error: 'Failed to count notifications' });
+             }
+        });
+
+        app.patch('/notifications/:id/read', verifyJWT, checkDbConnection, validate('PATCH /notifications/:id/read'), async (req, res) => {
+             try {
+                 const result = await notificationsCollection.updateOne(
+                     { _id: new ObjectId(req.params.id), userEmail: req.decoded.email },
+                     [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }]
+                 );
+                 if (result.matchedCount === 0) return res.status(404).json({ error: 'Notification not found' });
+                 res.json({ message: 'Marked as read' });
+             } catch (err) {
+                 console.error("❌ Error marking notification read:", err);
+                 res.status(500).json({ error: 'Update failed' });
+             }
+        });
+
+        app.post('/notifications/read-all', verifyJWT, checkDbConnection, validate('POST /notifications/read-all'), async (req, res) => {
+             try {
+                 const result = await notificationsCollection.updateMany(
+                     { userEmail: req.decoded.email, readAt: null }, { $set: { readAt: new Date() } }
+                 );
+                 res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+             } catch (err) {
+                 console.error("❌ Error marking notifications read:", err);
+                 res.status(500).json({ error: 'Update failed' });
+             }
+        });
+
+        // GET Which notification types you get by email (everything lands in the inbox regardless)
+        app.get('/notifications/preferences', verifyJWT, checkDbConnection, validate('GET /notifications/preferences'), async (req, res) => {
+             try {
+                 const user = await usersCollection.findOne({ email: req.decoded.email }, { projection: { notificationPreferences: 1 } });
+                 res.json({
+                     email: resolveEmailPreferences(user?.notificationPreferences?.emailDisabled),
+                     types: NOTIFICATION_TYPE_NAMES.map(type => ({ type, description: NOTIFICATION_TYPES[type].description }))
+                 });
+             } catch (err) {
+                 console.error("❌ Error fetching notification preferences:", err);
+                 res.status(500).json({ error: 'Failed to fetch preferences' });
+             }
+        });
+
+        // PUT { email: { 'course.approved': false, ... } }; types left out keep their current setting
+        app.put('/notifications/preferences', verifyJWT, checkDbConnection, validate('PUT /notifications/preferences'), async (req, res) => {
+             const entries = Object.entries(req.body.email);
+             const enabled = entries.filter(([, on]) => on).map(([type]) => type);
+             const disabled = entries.filter(([, on]) => !on).map(([type]) => type);
+             try {
+                 const user = await usersCollection.findOneAndUpdate(
+                     { email: req.decoded.email },
+                     [{ $set: {
+                         'notificationPreferences.emailDisabled': {
+                             $setUnion: [{ $setDifference: [{ $ifNull: ['$notificationPreferences.emailDisabled', []] }, enabled] }, disabled]
+                         },
+                         updatedAt: '$$NOW'
+                     } }],
+                     { returnDocument: 'after', projection: { notificationPreferences: 1 } }
+                 );
+                 if (!user) return res.status(404).json({ error: 'Create your profile first' });
+                 res.json({ email: resolveEmailPreferences(user.notificationPreferences?.emailDisabled) });
+             } catch (err) {
+                 console.error("❌ Error updating notification preferences:", err);
+                 res.status(500).json({ error: 'Failed to update preferences' });
+             }
+        });
+
+        // --- Instructor Applications ---
+        app.post('/instructor-applications', verifyJWT, checkDbConnection, getUserRole, validate('POST /instructor-applications'), async (req, res) => {
+             const userEmail = req.decoded.email;
+             if (req.userRole !== 'student') return res.status(400).json({ error: 'Only students can apply to teach' });
+             const parsed = parseInstructorProfileInput(req.body);
+             if (parsed.error) return res.status(400).json({ error: parsed.error });
+             try {
+                 const user = await usersCollection.findOne({ email: userEmail });
+                 const now = new Date();
+                 const application = {
+                     userEmail, name: user?.name || userEmail, ...parsed.data,
+                     status: 'pending', reviewNote: null, reviewedBy: null, reviewedAt: null,
+                     createdAt: now, updatedAt: now
+                 };
+                 const result = await instructorApplicationsCollection.insertOne(application);
+                 res.status(201).json({ message: 'Application submitted', applicationId: result.insertedId });
+             } catch (err) {
+                 if (err.code === 11000) return res.status(400).json({ error: 'You already have a pending application' });
+                 console.error("❌ Error submitting instructor application:", err);
+                 res.status(500).json({ error: 'Application failed' });
+             }
+        });
+
+        // GET Your most recent application (with the reviewer's note once decided)
+        app.get('/instructor-applications/me', verifyJWT, checkDbConnection, validate('GET /instructor-applications/me'), async (req, res) => {
+             try {
+                 const application = await instructorApplicationsCollection
+                     .find({ userEmail: req.decoded.email }).sort({ createdAt: -1 }).limit(1).next();
+                 if (!application) return res.status(404).json({ error: 'No application found' });
+                 res.json(application);
+             } catch (err) {
+                 console.error("❌ Error fetching instructor application:", err);
+                 res.status(500).json({ error: 'Fetch failed' });
+             }
+        });
+
+        // --- Instructor Profiles ---
+        // GET Public profile with live courses, total students and average rating
+        app.get('/instructors/:email', checkDbConnection, validate('GET /instructors/:email'), async (req, res) => {
+             const { email } = req.params;
+             try {
+                 const profile = await instructorProfilesCollection.findOne({ userEmail: email });
+                 const user = await usersCollection.findOne({ email }, { projection: { name: 1, photoURL: 1, role: 1 } });
+                 if (!profile && user?.role !== 'instructor') return res.status(404).json({ error: 'Instructor not found' });
+                 const stats = await getInstructorStats(email);
+                 res.json({
+                     email, name: profile?.name || user?.name || email, photoURL: user?.photoURL || null,
+                     headline: profile?.headline || null, bio: profile?.bio || null,
+                     expertise: profile?.expertise || [], links: profile?.sampleLinks || [],
+                     ...stats
+                 });
+             } catch (err) {
+                 console.error("❌ Error fetching instructor profile:", err);
+                 res.status(500).json({ error: 'Failed to fetch instructor profile' });
+             }
+        });
+
+        app.put('/instructor-profile', verifyJWT, checkDbConnection, getUserRole, requirePermission('instructor:profile'), validate('PUT /instructor-profile'), async (req, res) => {
+             const parsed = parseInstructorProfileInput(req.body, { partial: true });
+             if (parsed.error) return res.status(400).json({ error: parsed.error });
+             try {
+                 const now = new Date();
+                 await instructorProfilesCollection.updateOne(
+                     { userEmail: req.decoded.email },
+                     { $set: { ...parsed.data, updatedAt: now }, $setOnInsert: { userEmail: req.decoded.email, createdAt: now } },
+                     { upsert: true }
+                 );
+                 res.json({ message: 'Profile updated' });
+             } catch (err) {
+                 console.error("❌ Error updating instructor profile:", err);
+                 res.status(500).json({ error: 'Profile update failed' });
+             }
+        });
+
+        // --- Course Routes ---
+        
+        // (FIXED) GET Courses - Public, but role-aware
+        app.get('/courses', searchRateLimit, checkDbConnection, getRoleIfAuthenticated, validate('GET /courses'), async (req, res) => {
+             try {
+                 let categoryIds;
+                 if (req.query.category) {
+                     // An unknown slug matches nothing rather than being ignored
+                     categoryIds = await getCategoryFamilyIds(req.query.category) || [];
+                 }
+                 const cohortAvailability = req.query.available === 'true' ? await getCohortAvailability() : undefined;
+                 const catalogQuery = buildCatalogQuery(req.query, can(req, 'course:view:any'), { categoryIds, cohortAvailability });
+                 if (catalogQuery.error) return res.status(400).json({ error: catalogQuery.error });
+                 res.send(catalogQuery.paginated ? await runCatalogQuery(catalogQuery) : await listCatalogCourses(catalogQuery));
+
+             } catch (err) {
+                 console.error("❌ Error fetching courses:", err);
+                 res.status(500).json({ error: 'Failed to fetch courses' });
+             }
+        });
+
+        // --- Category Routes ---
+        // GET Category tree (Public)
+        app.get('/categories', checkDbConnection, validate('GET /categories'), async (req, res) => {
+             try {
+                 const categories = await categoriesCollection.find({}).sort({ order: 1, name: 1 }).toArray();
+                 const buildTree = (parentId) => categories
+                     .filter(category => (parentId ? category.parentId?.equals(parentId) : !category.parentId))
+                     .map(category => ({ ...category, children: buildTree(category._id) }));
+                 res.json(buildTree(null));
+             } catch (err) {
+                 console.error("❌ Error fetching categories:", err);
+                 res.status(500).json({ error: 'Failed to fetch categories' });
+             }
+        });
+
+        // GET Category page: the category, its breadcrumb and subcategories, and a catalog page of its courses
+        app.get('/categories/:slug', searchRateLimit, checkDbConnection, getRoleIfAuthenticated, validate('GET /categories/:slug'), async (req, res) => {
+             try {
+                 const category = await categoriesCollection.findOne({ slug: req.params.slug });
+                 if (!category) return res.status(404).json({ error: 'Category not found' });
+                 const breadcrumb = [];
+                 for (let current = category; current?.parentId;) {
+                     current = await categoriesCollection.findOne({ _id: current.parentId });
+                     if (current) breadcrumb.unshift({ _id: current._id, name: current.name, slug: current.slug });
+                 }
+                 const subcategories = await categoriesCollection.find({ parentId: category._id }).sort({ order: 1, name: 1 }).toArray();
+                 const categoryIds = await getCategoryFamilyIds(category.slug);
+                 const cohortAvailability = req.query.available === 'true' ? await getCohortAvailability() : undefined;
+                 const catalogQuery = buildCatalogQuery(req.query, can(req, 'course:view:any'), { categoryIds, cohortAvailability });
+                 if (catalogQuery.error) return res.status(400).json({ error: catalogQuery.error });
+                 res.json({ category, breadcrumb, subcategories, ...(await runCatalogQuery(catalogQuery)) });
+             } catch (err) {
+                 console.error("❌ Error fetching category page:", err);
+                 res.status(500).json({ error: 'Failed to fetch category' });
+             }
+        });
+
+        // (FIXED) GET Single Course by ID (Public, but check status)
+        app.get('/courses/:id', checkDbConnection, getRoleIfAuthenticated, validate('GET /courses/:id'), async (req, res) => {
+              const { id } = req.params;
+              if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+              const courseObjectId = new ObjectId(id);
+            try {
+                  const pipeline = [
+                      { $match: { _id: courseObjectId } },
+                      { $lookup: {
+                          from: "reviews", localField: "_id", foreignField: "courseObjectId",
+                          pipeline: [{ $match: VISIBLE_REVIEW_FILTER }, { $project: { rating: 1 } }],
+                          as: "courseReviews"
+                      }},
+                      { $addFields: {
+                          averageRating: { $cond: { if: { $gt: [{ $size: "$courseReviews" }, 0] }, then: { $avg: "$courseReviews.rating" }, else: 0 } },
+                          reviewCount: { $size: "$courseReviews" }
+                      }},
+                      { $project: { courseReviews: 0 } }
+                  ];
+                  const result = await coursesCollection.aggregate(pipeline).toArray();
+                  if (result.length === 0) return res.status(404).json({ error: 'Course not found' });
+                  
+                  const course = result[0];
+
+                  // (FIXED) Public/Students can only see 'approved' or no-status courses
+                  const hasStatus = course.status !== undefined;
+                  if (hasStatus && course.status !== 'approved' && !can(req, 'course:view:any')) {
+                       return res.status(404).json({ error: 'Course not found or not available.' });
+                  }
+                  if (course.deletedAt && !(await canSeeArchivedCourse(req, course))) {
+                       return res.status(404).json({ error: 'Course not found or not available.' });
+                  }
+                  course.archived = !!course.deletedAt;
+
+                  // Review feedback and queued edits are for the instructor and admins only
+                  if (!can(req, 'course:view:any') && !canOnCourse(req, course, 'course:edit')) {
+                      Object.keys(COURSE_REVIEW_FIELDS_PROJECTION).forEach(field => delete course[field]);
+                  }
+
+                  course.ratingHistogram = await getRatingHistogram(courseObjectId);
+                  course.cohorts = (await getCohorts(id)).map(cohort => presentCohort(cohort, course));
+
+                  // Everyone gets the outline; lesson content is served by the gated curriculum routes
+                  course.curriculum = await getCurriculum(id);
+                  course.canViewContent = await canViewLessonContent(req, course);
+                  
+                  res.json(course);
+              } catch (err) {
+                   console.error("❌ Error fetching single course:", err);
+                   res.status(500).json({ error: 'Failed to fetch course details' });
+              }
+          });
+
+        // POST Add New Course
+        app.post('/courses', verifyJWT, checkDbConnection, getUserRole, requirePermission('course:create'), validate('POST /courses'), async (req, res) => {
+               const { courseTitle, image, seats, duration, description, instructorEmail, timestamp, price, categoryId, tags } = req.body;
+               const requestingUserEmail = req.decoded.email;
+               if (!courseTitle || !image || seats == null || !duration || !description || price == null) return res.status(400).json({ error: 'Missing required fields.' });
+               if (isNaN(parseInt(seats, 10)) || isNaN(parseFloat(price)) || parseFloat(price) < 0 || parseInt(seats, 10) < 0) return res.status(400).json({ error: 'Invalid Seats or Price.' });
+               // Only roles that can edit any course may create one on someone else's behalf
+               const createsForOthers = can(req, 'course:edit:any');
+               let finalInstructorEmail = createsForOthers ? instructorEmail : requestingUserEmail;
+               if (createsForOthers && !instructorEmail) return res.status(400).json({ error: 'Admin must specify instructorEmail.' });
+               const parsedTags = tags === undefined ? { tags: [] } : parseTags(tags);
+               if (parsedTags.error) return res.status(400).json({ error: parsedTags.error });
+            try {
+               const category = categoryId === undefined ? { categoryId: null } : await resolveCategoryId(categoryId);
+               if (category.error) return res.status(400).json({ error: category.error });
+               const newCourse = {
+                   categoryId: category.categoryId, tags: parsedTags.tags,
+                   courseTitle, image, seats: parseInt(seats, 10), price: parseFloat(price),
+                   duration, durationWeeks: parseDurationWeeks(duration), description, instructorEmail: finalInstructorEmail,
+                   enrollmentCount: 0, status: 'pending',
+                   statusHistory: [courseHistoryEntry('submitted', 'pending', requestingUserEmail, req.userRole)],
+                   createdAt: timestamp ? new Date(timestamp) : new Date(), updatedAt: new Date(),
+                   // (FIX) Add timestamp field to match your old data structure if needed
+                   timestamp: timestamp || new Date().toISOString().split('T')[0] // 'YYYY-MM-DD'
+               };
+               const result = await coursesCollection.insertOne(newCourse);
+               await notify('course.submitted', { courseId: result.insertedId.toString(), courseTitle, instructorEmail: finalInstructorEmail });
+               res.status(201).json({ message: 'Course added, pending approval.', insertedId: result.insertedId });
+            } catch (err) {
+               console.error('❌ Error adding course:', err);
+               res.status(500).json({ error: 'Failed to add course' });
+            }
+         });
+
+        // PUT Update Course
+        app.put('/course/:id', verifyJWT, checkDbConnection, getUserRole, requirePermission('course:edit:own'), validate('PUT /course/:id'), async (req, res) => {
+              const { id } = req.params;
+              const updatedData = req.body;
+              const requestingUserEmail = req.decoded.email;
+              if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+              const courseObjectId = new ObjectId(id);
+            try {
                  const existingCourse = await coursesCollection.findOne({ _id: courseObjectId });
                  if (!existingCourse) return res.status(404).send({ error: 'Course not found' });
-                 if (req.userRole === 'instructor' && existingCourse.instructorEmail !== requestingUserEmail) {
+                 if (!canOnCourse(req, existingCourse, 'course:edit')) {
+                    return res.status(403).send({ error: 'Forbidden: Not your course' });
+                 }
+                 // The request schema only lets editable fields through
+                 if (updatedData.seats !== undefined) {
+                    const seatsNum = parseInt(updatedData.seats, 10);
+                    if (isNaN(seatsNum) || seatsNum < 0) return res.status(400).json({ error: 'Invalid Seats.'});
+                    updatedData.seats = seatsNum;
+                 }
+                 if (updatedData.price !== undefined) {
+                    const priceNum = parseFloat(updatedData.price);
+                    if (isNaN(priceNum) || priceNum < 0) return res.status(400).json({ error: 'Invalid Price.'});
+                    updatedData.price = priceNum;
+                 }
+                 if (updatedData.tags !== undefined) {
+                    const parsedTags = parseTags(updatedData.tags);
+                    if (parsedTags.error) return res.status(400).json({ error: parsedTags.error });
+                    updatedData.tags = parsedTags.tags;
+                 }
+                 if (updatedData.categoryId !== undefined) {
+                    const category = await resolveCategoryId(updatedData.categoryId);
+                    if (category.error) return res.status(400).json({ error: category.error });
+                    updatedData.categoryId = category.categoryId;
+                 }
+
+                 // An approved course stays live as-is; an instructor's material edits queue up for review
+                 let revisionChanges = null;
+                 if (existingCourse.status === 'approved' && !can(req, 'course:approve')) {
+                    for (const field of MATERIAL_COURSE_FIELDS) {
+                       if (updatedData[field] === undefined) continue;
+                       if (!isSameValue(updatedData[field], existingCourse[field])) {
+                          revisionChanges = { ...revisionChanges, [field]: updatedData[field] };
+                       }
+                       delete updatedData[field];
+                    }
+                 }
+                 if (updatedData.duration !== undefined) updatedData.durationWeeks = parseDurationWeeks(updatedData.duration);
+
+                 const update = { $set: { ...updatedData, updatedAt: new Date() } };
+                 if (revisionChanges) {
+                    const now = new Date();
+                    update.$set.pendingRevision = {
+                       changes: { ...existingCourse.pendingRevision?.changes, ...revisionChanges },
+                       submittedBy: requestingUserEmail, submittedAt: now
+                    };
+                    update.$push = { statusHistory: courseHistoryEntry('revision_submitted', existingCourse.status, requestingUserEmail, req.userRole) };
+                 }
+                 const result = await coursesCollection.updateOne({ _id: courseObjectId }, update);
+                 if (result.matchedCount === 0) return res.status(404).send({ error: 'Course not found' });
+                 // Newly added seats go to the waitlist first
+                 if (updatedData.seats !== undefined) await offerSeatsToWaitlist(id);
+                 if (revisionChanges) {
+                    return res.status(202).send({ message: 'Changes submitted for review; the approved version stays live until then', pendingChanges: Object.keys(update.$set.pendingRevision.changes) });
+                 }
+                 res.send({ message: 'Course updated successfully' });
+             } catch (err) {
+                  console.error("❌ Error updating course:", err);
+                  res.status(500).send({ error: 'Course update failed' });
+             }
+         });
+
+        // POST Resubmit a rejected course for review
+        app.post('/courses/:id/resubmit', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:edit'), validate('POST /courses/:id/resubmit'), async (req, res) => {
+             const { note } = req.body;
+             try {
+                 const result = await coursesCollection.updateOne(
+                     { _id: req.course._id, status: 'rejected' },
+                     {
+                         $set: { status: 'pending', updatedAt: new Date() },
+                         $push: { statusHistory: courseHistoryEntry('resubmitted', 'pending', req.decoded.email, req.userRole, note || null) }
+                     }
+                 );
+                 if (result.matchedCount === 0) return res.status(400).json({ error: 'Only rejected courses can be resubmitted' });
+                 await notify('course.submitted', {
+                     courseId: req.course._id.toString(), courseTitle: req.course.courseTitle,
+                     instructorEmail: req.course.instructorEmail, resubmitted: true
+                 });
+                 res.json({ message: 'Course resubmitted for review' });
+             } catch (err) {
+                 console.error("❌ Error resubmitting course:", err);
+                 res.status(500).json({ error: 'Resubmit failed' });
+             }
+        });
+
+        // GET Review status, feedback, history and any queued revision (owner/admin)
+        app.get('/courses/:id/status-history', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:edit'), validate('GET /courses/:id/status-history'), (req, res) => {
+             const { _id, status, rejectionReason, pendingRevision, lastRevisionFeedback, statusHistory } = req.course;
+             res.json({
+                 courseId: _id, status: status || null, rejectionReason: rejectionReason || null,
+                 pendingRevision: pendingRevision || null, lastRevisionFeedback: lastRevisionFeedback || null,
+                 history: statusHistory || []
+             });
+        });
+
+        // --- Course Collaborators ---
+        // Collaborators can edit the course, see its analytics and reply to reviews, but not delete or sell it
+        app.get('/courses/:id/collaborators', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:edit'), validate('GET /courses/:id/collaborators'), (req, res) => {
+             res.json({ instructorEmail: req.course.instructorEmail, collaborators: req.course.collaborators || [] });
+        });
+
+        app.post('/courses/:id/collaborators', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:collaborators'), validate('POST /courses/:id/collaborators'), async (req, res) => {
+             const { email } = req.body;
+             if (!email || typeof email !== 'string') return res.status(400).json({ error: 'Email required' });
+             if (email === req.course.instructorEmail) return res.status(400).json({ error: 'The owner is already on the course' });
+             try {
+                 const user = await usersCollection.findOne({ email });
+                 if (!user) return res.status(404).json({ error: 'User not found' });
+                 if (!roleAllows(await getRolePermissions(user.role || 'student'), 'course:edit:own')) {
+                     return res.status(400).json({ error: 'User\'s role cannot edit courses' });
+                 }
+                 const result = await coursesCollection.updateOne(
+                     { _id: req.course._id, 'collaborators.email': { $ne: email } },
+                     { $push: { collaborators: { email, addedBy: req.decoded.email, addedAt: new Date() } } }
+                 );
+                 if (result.matchedCount === 0) return res.status(400).json({ error: 'Already a collaborator' });
+                 await recordAudit(auditActorFromRequest(req), {
+                     action: 'course.collaborator_add', targetType: 'course', targetId: req.params.id, before: null, after: { email }
+                 });
+                 res.status(201).json({ message: 'Collaborator added' });
+             } catch (err) {
+                 console.error("❌ Error adding collaborator:", err);
+                 res.status(500).json({ error: 'Failed to add collaborator' });
+             }
+        });
+
+        app.delete('/courses/:id/collaborators/:email', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:collaborators'), validate('DELETE /courses/:id/collaborators/:email'), async (req, res) => {
+             const { email } = req.params;
+             try {
+                 const result = await coursesCollection.updateOne({ _id: req.course._id }, { $pull: { collaborators: { email } } });
+                 if (result.modifiedCount === 0) return res.status(404).json({ error: 'Collaborator not found' });
+                 await recordAudit(auditActorFromRequest(req), {
+                     action: 'course.collaborator_remove', targetType: 'course', targetId: req.params.id, before: { email }, after: null
+                 });
+                 res.json({ message: 'Collaborator removed' });
+             } catch (err) {
+                 console.error("❌ Error removing collaborator:", err);
+                 res.status(500).json({ error: 'Failed to remove collaborator' });
+             }
+        });
+
+        // DELETE Course (archives it; enrolled students keep access until it is purged)
+        app.delete('/courses/:id', verifyJWT, checkDbConnection, getUserRole, requirePermission('course:delete:own'), validate('DELETE /courses/:id'), async (req, res) => {
+             const { id } = req.params;
+             const requestingUserEmail = req.decoded.email;
+             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+             const courseObjectId = new ObjectId(id);
+            try {
+                 const existingCourse = await coursesCollection.findOne({ _id: courseObjectId });
+                 if (!existingCourse) return res.status(404).json({ message: 'Course not found' });
+                 if (!canOnCourse(req, existingCourse, 'course:delete')) {
                     return res.status(403).send({ error: 'Forbidden: Not your course' });
                  }
-                 delete updatedData._id; delete updatedData.instructorEmail; delete updatedData.createdAt;
-                 delete updatedData.enrollmentCount; delete updatedData.status; delete updatedData.averageRating; delete updatedData.reviewCount;
-                 if (updatedData.seats !== undefined) {
-                    const seatsNum = parseInt(updatedData.seats, 10);
-                    if (isNaN(seatsNum) || seatsNum < 0) return res.status(400).json({ error: 'Invalid Seats.'});
-                    updatedData.seats = seatsNum;
+                 const now = new Date();
+                 const purgeAfter = new Date(now.getTime() + COURSE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+                 const result = await coursesCollection.updateOne(
+                     { _id: courseObjectId, deletedAt: null },
+                     { $set: { deletedAt: now, deletedBy: requestingUserEmail, purgeAfter, updatedAt: now } }
+                 );
+                 if (result.matchedCount === 0) return res.status(400).json({ error: 'Course already archived' });
+                 await recordAudit(auditActorFromRequest(req), {
+                     action: 'course.archive', targetType: 'course', targetId: id,
+                     before: { deletedAt: null },
+                     after: { deletedAt: now, purgeAfter, enrollmentCount: existingCourse.enrollmentCount || 0 }
+                 });
+                 res.send({ message: 'Course archived', purgeAfter });
+              } catch (err) {
+                  console.error('❌ Error deleting course:', err);
+                  res.status(500).json({ error: 'Failed to delete course' });
+              }
+         });
+
+        // --- Cohort Routes ---
+        // GET Cohorts that haven't ended (?includePast=true for all of them)
+        app.get('/courses/:id/cohorts', checkDbConnection, getRoleIfAuthenticated, validate('GET /courses/:id/cohorts'), async (req, res) => {
+             const { id } = req.params;
+             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+             try {
+                 const course = await coursesCollection.findOne({ _id: new ObjectId(id) });
+                 const isListed = course && (course.status === undefined || course.status === 'approved') && !course.deletedAt;
+                 if (!course || (!isListed && !can(req, 'course:view:any') && !canOnCourse(req, course, 'course:edit'))) {
+                     return res.status(404).json({ error: 'Course not found or not available.' });
+                 }
+                 const cohorts = await getCohorts(id, { includePast: req.query.includePast === true });
+                 res.json(cohorts.map(cohort => presentCohort(cohort, course)));
+             } catch (err) {
+                 console.error("❌ Error fetching cohorts:", err);
+                 res.status(500).json({ error: 'Failed to fetch cohorts' });
+             }
+        });
+
+        // POST Schedule a cohort { name, startDate, endDate, capacity, enrollmentOpensAt?, enrollmentClosesAt?, price? }
+        app.post('/courses/:id/cohorts', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:edit'), validate('POST /courses/:id/cohorts'), async (req, res) => {
+             if (req.course.deletedAt) return res.status(400).json({ error: 'Course archived' });
+             const { fields, error } = parseCohortInput(req.body);
+             if (error) return res.status(400).json({ error });
+             try {
+                 const now = new Date();
+                 const cohort = {
+                     courseId: req.course._id.toString(), enrollmentOpensAt: null, enrollmentClosesAt: null, price: null, ...fields,
+                     seats: fields.capacity, enrollmentCount: 0, createdBy: req.decoded.email, createdAt: now, updatedAt: now
+                 };
+                 const { insertedId } = await cohortsCollection.insertOne(cohort);
+                 await recordAudit(auditActorFromRequest(req), {
+                     action: 'cohort.create', targetType: 'cohort', targetId: insertedId,
+                     before: null, after: { courseId: cohort.courseId, ...fields }
+                 });
+                 res.status(201).json({ message: 'Cohort scheduled', cohort: presentCohort({ ...cohort, _id: insertedId }, req.course) });
+             } catch (err) {
+                 console.error("❌ Error creating cohort:", err);
+                 res.status(500).json({ error: 'Failed to create cohort' });
+             }
+        });
+
+        // PATCH Change a cohort; capacity can't drop below the students already enrolled
+        app.patch('/courses/:id/cohorts/:cohortId', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:edit'), validate('PATCH /courses/:id/cohorts/:cohortId'), async (req, res) => {
+             const { id, cohortId } = req.params;
+             const cohortObjectId = new ObjectId(cohortId);
+             try {
+                 const existing = await cohortsCollection.findOne({ _id: cohortObjectId, courseId: id });
+                 if (!existing) return res.status(404).json({ error: 'Cohort not found' });
+                 const { fields, error } = parseCohortInput(req.body, existing);
+                 if (error) return res.status(400).json({ error });
+                 if (Object.keys(fields).length === 0) return res.status(400).json({ error: 'Nothing to update' });
+                 // A pipeline update so seats follow the new capacity; $literal keeps user text from being read as field paths
+                 const filter = { _id: cohortObjectId, courseId: id };
+                 const set = Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, { $literal: value }]));
+                 set.updatedAt = '$$NOW';
+                 if (fields.capacity !== undefined) {
+                     filter.enrollmentCount = { $lte: fields.capacity };
+                     set.seats = { $max: [{ $subtract: [fields.capacity, '$enrollmentCount'] }, 0] };
+                 }
+                 const updated = await cohortsCollection.findOneAndUpdate(filter, [{ $set: set }], { returnDocument: 'after' });
+                 if (!updated) return res.status(400).json({ error: 'Capacity is below the number of students already enrolled' });
+                 await recordAudit(auditActorFromRequest(req), {
+                     action: 'cohort.update', targetType: 'cohort', targetId: cohortId,
+                     before: Object.fromEntries(Object.keys(fields).map(field => [field, existing[field] ?? null])), after: fields
+                 });
+                 res.json({ message: 'Cohort updated', cohort: presentCohort(updated, req.course) });
+             } catch (err) {
+                 console.error("❌ Error updating cohort:", err);
+                 res.status(500).json({ error: 'Failed to update cohort' });
+             }
+        });
+
+        // DELETE A cohort nobody has enrolled in
+        app.delete('/courses/:id/cohorts/:cohortId', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:edit'), validate('DELETE /courses/:id/cohorts/:cohortId'), async (req, res) => {
+             const { id, cohortId } = req.params;
+             const cohortObjectId = new ObjectId(cohortId);
+             try {
+                 const removed = await cohortsCollection.findOneAndDelete({ _id: cohortObjectId, courseId: id, enrollmentCount: 0 });
+                 if (!removed) {
+                     const exists = await cohortsCollection.findOne({ _id: cohortObjectId, courseId: id }, { projection: { _id: 1 } });
+                     if (!exists) return res.status(404).json({ error: 'Cohort not found' });
+                     return res.status(400).json({ error: 'Students are enrolled in this cohort' });
+                 }
+                 await recordAudit(auditActorFromRequest(req), {
+                     action: 'cohort.delete', targetType: 'cohort', targetId: cohortId, before: removed, after: null
+                 });
+                 res.json({ message: 'Cohort deleted' });
+             } catch (err) {
+                 console.error("❌ Error deleting cohort:", err);
+                 res.status(500).json({ error: 'Failed to delete cohort' });
+             }
+        });
+
+        // --- Curriculum Routes ---
+        // Full curriculum for enrolled users, admins and the owner; outline only for everyone else
+        app.get('/courses/:id/curriculum', checkDbConnection, getRoleIfAuthenticated, validate('GET /courses/:id/curriculum'), async (req, res) => {
+             const { id } = req.params;
+             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+             try {
+                 const course = await coursesCollection.findOne({ _id: new ObjectId(id) });
+                 if (!course) return res.status(404).json({ error: 'Course not found' });
+                 const canViewContent = await canViewLessonContent(req, course);
+                 const hasStatus = course.status !== undefined;
+                 if (hasStatus && course.status !== 'approved' && !canViewContent) {
+                     return res.status(404).json({ error: 'Course not found or not available.' });
+                 }
+                 if (course.deletedAt && !canViewContent) return res.status(404).json({ error: 'Course not found or not available.' });
+                 const sections = await getCurriculum(id, { includeContent: canViewContent });
+                 res.json({ courseId: id, canViewContent, sections });
+             } catch (err) {
+                 console.error("❌ Error fetching curriculum:", err);
+                 res.status(500).json({ error: 'Failed to fetch curriculum' });
+             }
+        });
+
+        app.get('/courses/:id/lessons/:lessonId', verifyJWT, checkDbConnection, getUserRole, validate('GET /courses/:id/lessons/:lessonId'), async (req, res) => {
+             const { id, lessonId } = req.params;
+             if (!ObjectId.isValid(id) || !ObjectId.isValid(lessonId)) return res.status(400).json({ error: 'Invalid ID' });
+             try {
+                 const course = await coursesCollection.findOne({ _id: new ObjectId(id) });
+                 if (!course) return res.status(404).json({ error: 'Course not found' });
+                 if (!(await canViewLessonContent(req, course))) return res.status(403).json({ error: 'Enroll to view this lesson' });
+                 const lesson = await lessonsCollection.findOne({ _id: new ObjectId(lessonId), courseId: id });
+                 if (!lesson) return res.status(404).json({ error: 'Lesson not found' });
+                 res.json(lesson);
+             } catch (err) {
+                 console.error("❌ Error fetching lesson:", err);
+                 res.status(500).json({ error: 'Failed to fetch lesson' });
+             }
+        });
+
+        app.post('/courses/:id/sections', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:edit'), validate('POST /courses/:id/sections'), async (req, res) => {
+             const { id } = req.params;
+             const { title, order } = req.body;
+             if (typeof title !== 'string' || title.trim().length === 0) return res.status(400).json({ error: 'Title required' });
+             if (order !== undefined && (isNaN(parseInt(order, 10)) || parseInt(order, 10) < 0)) return res.status(400).json({ error: 'Invalid order' });
+             try {
+                 const sectionCount = await sectionsCollection.countDocuments({ courseId: id });
+                 const newSection = {
+                     courseId: id, title: title.trim(),
+                     order: order !== undefined ? parseInt(order, 10) : sectionCount,
+                     createdAt: new Date(), updatedAt: new Date()
+                 };
+                 const result = await sectionsCollection.insertOne(newSection);
+                 res.status(201).json({ message: 'Section added', insertedId: result.insertedId });
+             } catch (err) {
+                 console.error("❌ Error adding section:", err);
+                 res.status(500).json({ error: 'Failed to add section' });
+             }
+        });
+
+        app.put('/courses/:id/sections/:sectionId', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:edit'), validate('PUT /courses/:id/sections/:sectionId'), async (req, res) => {
+             const { id, sectionId } = req.params;
+             const { title, order } = req.body;
+             if (!ObjectId.isValid(sectionId)) return res.status(400).json({ error: 'Invalid Section ID' });
+             const updateFields = {};
+             if (title !== undefined) {
+                 if (typeof title !== 'string' || title.trim().length === 0) return res.status(400).json({ error: 'Title required' });
+                 updateFields.title = title.trim();
+             }
+             if (order !== undefined) {
+                 const orderNum = parseInt(order, 10);
+                 if (isNaN(orderNum) || orderNum < 0) return res.status(400).json({ error: 'Invalid order' });
+                 updateFields.order = orderNum;
+             }
+             try {
+                 const result = await sectionsCollection.updateOne(
+                     { _id: new ObjectId(sectionId), courseId: id },
+                     { $set: { ...updateFields, updatedAt: new Date() } }
+                 );
+                 if (result.matchedCount === 0) return res.status(404).json({ error: 'Section not found' });
+                 res.json({ message: 'Section updated' });
+             } catch (err) {
+                 console.error("❌ Error updating section:", err);
+                 res.status(500).json({ error: 'Failed to update section' });
+             }
+        });
+
+        app.delete('/courses/:id/sections/:sectionId', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:edit'), validate('DELETE /courses/:id/sections/:sectionId'), async (req, res) => {
+             const { id, sectionId } = req.params;
+             if (!ObjectId.isValid(sectionId)) return res.status(400).json({ error: 'Invalid Section ID' });
+             const sectionObjectId = new ObjectId(sectionId);
+             try {
+                 const result = await sectionsCollection.deleteOne({ _id: sectionObjectId, courseId: id });
+                 if (result.deletedCount === 0) return res.status(404).json({ error: 'Section not found' });
+                 await lessonsCollection.deleteMany({ sectionId: sectionObjectId, courseId: id });
+                 res.json({ message: 'Section and its lessons deleted' });
+             } catch (err) {
+                 console.error("❌ Error deleting section:", err);
+                 res.status(500).json({ error: 'Failed to delete section' });
+             }
+        });
+
+        app.post('/courses/:id/sections/:sectionId/lessons', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:edit'), validate('POST /courses/:id/sections/:sectionId/lessons'), async (req, res) => {
+             const { id, sectionId } = req.params;
+             if (!ObjectId.isValid(sectionId)) return res.status(400).json({ error: 'Invalid Section ID' });
+             const sectionObjectId = new ObjectId(sectionId);
+             const { data, error } = parseLessonInput(req.body);
+             if (error) return res.status(400).json({ error });
+             try {
+                 const section = await sectionsCollection.findOne({ _id: sectionObjectId, courseId: id });
+                 if (!section) return res.status(404).json({ error: 'Section not found' });
+                 const lessonCount = await lessonsCollection.countDocuments({ sectionId: sectionObjectId });
+                 const newLesson = {
+                     videoUrl: '', body: '', attachments: [], estimatedMinutes: 0, order: lessonCount,
+                     ...data,
+                     courseId: id, sectionId: sectionObjectId,
+                     createdAt: new Date(), updatedAt: new Date()
+                 };
+                 const result = await lessonsCollection.insertOne(newLesson);
+                 res.status(201).json({ message: 'Lesson added', insertedId: result.insertedId });
+             } catch (err) {
+                 console.error("❌ Error adding lesson:", err);
+                 res.status(500).json({ error: 'Failed to add lesson' });
+             }
+        });
+
+        // PUT Update Lesson (pass sectionId to move it to another section)
+        app.put('/courses/:id/lessons/:lessonId', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:edit'), validate('PUT /courses/:id/lessons/:lessonId'), async (req, res) => {
+             const { id, lessonId } = req.params;
+             if (!ObjectId.isValid(lessonId)) return res.status(400).json({ error: 'Invalid Lesson ID' });
+             const { data, error } = parseLessonInput(req.body, { partial: true });
+             if (error) return res.status(400).json({ error });
+             try {
+                 if (req.body.sectionId !== undefined) {
+                     if (!ObjectId.isValid(req.body.sectionId)) return res.status(400).json({ error: 'Invalid Section ID' });
+                     const section = await sectionsCollection.findOne({ _id: new ObjectId(req.body.sectionId), courseId: id });
+                     if (!section) return res.status(404).json({ error: 'Section not found' });
+                     data.sectionId = section._id;
+                 }
+                 const result = await lessonsCollection.updateOne(
+                     { _id: new ObjectId(lessonId), courseId: id },
+                     { $set: { ...data, updatedAt: new Date() } }
+                 );
+                 if (result.matchedCount === 0) return res.status(404).json({ error: 'Lesson not found' });
+                 res.json({ message: 'Lesson updated' });
+             } catch (err) {
+                 console.error("❌ Error updating lesson:", err);
+                 res.status(500).json({ error: 'Failed to update lesson' });
+             }
+        });
+
+        app.delete('/courses/:id/lessons/:lessonId', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('course:edit'), validate('DELETE /courses/:id/lessons/:lessonId'), async (req, res) => {
+             const { id, lessonId } = req.params;
+             if (!ObjectId.isValid(lessonId)) return res.status(400).json({ error: 'Invalid Lesson ID' });
+             try {
+                 const result = await lessonsCollection.deleteOne({ _id: new ObjectId(lessonId), courseId: id });
+                 if (result.deletedCount === 0) return res.status(404).json({ error: 'Lesson not found' });
+                 res.json({ message: 'Lesson deleted' });
+             } catch (err) {
+                 console.error("❌ Error deleting lesson:", err);
+                 res.status(500).json({ error: 'Failed to delete lesson' });
+             }
+        });
+
+        // --- Enrollment Routes ---
+        app.post('/enrollments', verifyJWT, checkDbConnection, getUserRole, validate('POST /enrollments'), async (req, res) => {
+               const { userEmail, courseId, cohortId } = req.body;
+               const requestingUserEmail = req.decoded.email;
+               if (!userEmail || !courseId) return res.status(400).json({ error: 'Missing details' });
+               if (requestingUserEmail !== userEmail) return res.status(403).json({ error: 'Email mismatch' });
+               if (!ObjectId.isValid(courseId)) return res.status(400).json({ error: 'Invalid Course ID' });
+               const courseObjectId = new ObjectId(courseId);
+            try {
+                  const course = await coursesCollection.findOne({ _id: courseObjectId });
+                  if (!course) return res.status(404).json({ error: 'Course not found' });
+                  // (FIX) Check status OR existence
+                  const hasStatus = course.status !== undefined;
+                  if (hasStatus && course.status !== 'approved') return res.status(400).json({ error: 'Course not approved' });
+                  if (course.deletedAt) return res.status(400).json({ error: 'Course archived' });
+                  
+                  const { cohort, status, error } = await resolveEnrollmentCohort(course, cohortId);
+                  if (error) return res.status(status).json({ error });
+                  // Paid courses are enrolled by the Stripe webhook once payment succeeds
+                  if (cohortPrice(cohort, course) > 0) return res.status(402).json({ error: 'Payment required' });
+                  if (!cohort && course.seats <= 0) {
+                      await releaseExpiredHolds(courseId);
+                      if (!(await hasActiveHold(courseId, userEmail))) return res.status(400).json({ error: 'No seats available' });
+                  }
+                  // Duplicate, limit and seat checks all happen inside the transaction
+                  const { enrolledId } = await createEnrollment({ userEmail, courseId, courseTitle: course.courseTitle, cohort });
+                  res.status(201).json({ message: 'Enrolled', enrolledId });
+             } catch (err) {
+                 if (err.status) return res.status(err.status).json({ error: err.message });
+                 console.error('❌ Enrollment error:', err);
+                 res.status(500).json({ error: 'Enrollment failed' });
+             }
+         });
+
+         app.get('/enrolled-status', verifyJWT, checkDbConnection, validate('GET /enrolled-status'), async (req, res) => {
+               const { email, courseId } = req.query;
+               if (!email || !courseId) return res.status(400).json({ error: 'Missing params' });
+               if (req.decoded.email !== email) return res.status(403).json({ error: 'Unauthorized' });
+             try {
+               const enrollment = await enrollmentsCollection.findOne({ userEmail: email, courseId: courseId });
+               res.json({ enrolled: !!enrollment, enrollmentId: enrollment?._id });
+             } catch (err) {
+                 console.error('❌ Error checking enrollment status:', err);
+                 res.status(500).json({ error: 'Status check failed' });
+             }
+          });
+
+          app.get('/my-enrolled-courses/:email', verifyJWT, checkDbConnection, validate('GET /my-enrolled-courses/:email'), async (req, res) => {
+               const emailParam = req.params.email;
+               if (req.decoded.email !== emailParam) return res.status(403).json({ error: 'Unauthorized' });
+             try {
+               const enrollments = await enrollmentsCollection
+                   .find({ userEmail: emailParam })
+                   .project({ courseId: 1, courseTitle: 1, cohortId: 1, enrolledAt: 1 })
+                   .sort({ enrolledAt: -1 })
+                   .toArray();
+               const courseIds = enrollments.map(e => e.courseId);
+               const cohortIds = enrollments.filter(e => ObjectId.isValid(e.cohortId)).map(e => new ObjectId(e.cohortId));
+               const cohorts = await cohortsCollection.find({ _id: { $in: cohortIds } }).project({ name: 1, startDate: 1, endDate: 1 }).toArray();
+               const lessons = await lessonsCollection.find({ courseId: { $in: courseIds } }).project({ courseId: 1 }).toArray();
+               const progressDocs = await progressCollection.find({ userEmail: emailParam, courseId: { $in: courseIds } }).toArray();
+               const withProgress = enrollments.map(enrollment => {
+                   const lessonIds = lessons.filter(l => l.courseId === enrollment.courseId).map(l => l._id.toString());
+                   const progress = progressDocs.find(p => p.courseId === enrollment.courseId);
+                   const cohort = cohorts.find(c => c._id.toString() === enrollment.cohortId) || null;
+                   return { ...enrollment, cohort, progress: summarizeProgress(progress, lessonIds) };
+               });
+               res.json(withProgress);
+             } catch (err) {
+                 console.error('❌ Fetch user enrollments failed:', err);
+                 res.status(500).json({ error: 'Fetch failed' });
+             }
+          });
+
+          app.delete('/enrollments/:email/:courseId', verifyJWT, checkDbConnection, validate('DELETE /enrollments/:email/:courseId'), async (req, res) => {
+                 const { email, courseId } = req.params;
+                 if (req.decoded.email !== email) return res.status(403).json({ error: 'Unauthorized' });
+                 if (!ObjectId.isValid(courseId)) return res.status(400).json({ error: 'Invalid ID' });
+             try {
+                 const enrollment = await enrollmentsCollection.findOne({ userEmail: email, courseId });
+                 if (!enrollment) return res.status(404).json({ error: 'Not enrolled' });
+                 if (enrollment.paymentIntentId) {
+                     return res.status(400).json({ error: 'Paid enrollment: submit a refund request instead' });
+                 }
+                 const removed = await removeEnrollment({ userEmail: email, courseId });
+                 if (!removed) return res.status(404).json({ error: 'Not enrolled' });
+                 res.json({ message: 'Unenrolled' });
+              } catch (err) {
+                  console.error('❌ Error during unenrollment:', err);
+                  res.status(500).json({ error: 'Unenroll failed' });
+              }
+          });
+
+        // --- Refund Request Routes ---
+        app.post('/refund-requests', verifyJWT, checkDbConnection, validate('POST /refund-requests'), async (req, res) => {
+             const { courseId, reason } = req.body;
+             const userEmail = req.decoded.email;
+             if (!ObjectId.isValid(courseId)) return res.status(400).json({ error: 'Invalid Course ID' });
+             if (!reason || typeof reason !== 'string' || reason.trim().length === 0) return res.status(400).json({ error: 'Reason required' });
+             try {
+                 const enrollment = await enrollmentsCollection.findOne({ userEmail, courseId });
+                 if (!enrollment) return res.status(404).json({ error: 'Not enrolled' });
+                 if (!enrollment.paymentIntentId) return res.status(400).json({ error: 'Enrollment was not paid' });
+                 const payment = await paymentsCollection.findOne({ paymentIntentId: enrollment.paymentIntentId });
+                 if (!payment || payment.status !== 'succeeded') return res.status(400).json({ error: 'Payment is not refundable' });
+                 const paidAt = payment.createdAt || enrollment.enrolledAt;
+                 const windowEnds = new Date(paidAt.getTime() + REFUND_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+                 if (new Date() > windowEnds) return res.status(400).json({ error: `Refund window of ${REFUND_WINDOW_DAYS} days has passed` });
+                 const open = await refundRequestsCollection.findOne({
+                     paymentIntentId: payment.paymentIntentId, status: { $in: ['pending', 'approved'] }
+                 });
+                 if (open) return res.status(400).json({ error: 'Refund already requested' });
+                 const course = await coursesCollection.findOne({ _id: new ObjectId(courseId) });
+                 const newRequest = {
+                     paymentIntentId: payment.paymentIntentId, userEmail, courseId,
+                     courseTitle: course?.courseTitle || enrollment.courseTitle,
+                     instructorEmail: course?.instructorEmail || null,
+                     amount: payment.amount, currency: payment.currency,
+                     reason: reason.trim(), status: 'pending',
+                     history: [refundHistoryEntry('pending', userEmail, 'student', reason.trim())],
+                     createdAt: new Date(), updatedAt: new Date()
+                 };
+                 const result = await refundRequestsCollection.insertOne(newRequest);
+                 res.status(201).json({ message: 'Refund requested', insertedId: result.insertedId });
+             } catch (err) {
+                 console.error("❌ Error creating refund request:", err);
+                 res.status(500).json({ error: 'Failed to request refund' });
+             }
+        });
+
+        // Students see their own requests, instructors their courses', admins all (optional ?status=)
+        app.get('/refund-requests', verifyJWT, checkDbConnection, getUserRole, validate('GET /refund-requests'), async (req, res) => {
+             const { status } = req.query;
+             const query = {};
+             if (!can(req, 'refund:decide:any')) {
+                 if (can(req, 'refund:decide:own')) query.instructorEmail = req.decoded.email;
+                 else query.userEmail = req.decoded.email;
+             }
+             if (status) query.status = status;
+             try {
+                 const requests = await refundRequestsCollection.find(query).sort({ createdAt: -1 }).toArray();
+                 res.json(requests);
+             } catch (err) {
+                 console.error("❌ Error fetching refund requests:", err);
+                 res.status(500).json({ error: 'Failed to fetch refund requests' });
+             }
+        });
+
+        // Approving refunds the PaymentIntent through Stripe and revokes the enrollment
+        app.patch('/refund-requests/:id', verifyJWT, checkDbConnection, getUserRole, requirePermission('refund:decide:own'), validate('PATCH /refund-requests/:id'), async (req, res) => {
+             const { id } = req.params;
+             const { decision, note } = req.body;
+             const actor = req.decoded.email;
+             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+             if (!['approve', 'deny'].includes(decision)) return res.status(400).json({ error: 'Decision must be approve or deny' });
+             const decisionNote = typeof note === 'string' && note.trim() ? note.trim() : null;
+             if (decision === 'deny' && !decisionNote) return res.status(400).json({ error: 'Note required when denying' });
+             try {
+                 const request = await refundRequestsCollection.findOne({ _id: new ObjectId(id) });
+                 if (!request) return res.status(404).json({ error: 'Refund request not found' });
+                 if (!can(req, 'refund:decide:any') && request.instructorEmail !== actor) {
+                     return res.status(403).json({ error: 'Forbidden: Not your course' });
+                 }
+                 const nextStatus = decision === 'approve' ? 'approved' : 'denied';
+                 // Retrying a failed Stripe refund is allowed; anything else must still be pending
+                 const claimed = await refundRequestsCollection.findOneAndUpdate(
+                     { _id: request._id, status: { $in: decision === 'approve' ? ['pending', 'failed'] : ['pending'] } },
+                     {
+                         $set: { status: nextStatus, decidedBy: actor, decisionNote, decidedAt: new Date(), updatedAt: new Date() },
+                         $push: { history: refundHistoryEntry(nextStatus, actor, req.userRole, decisionNote) }
+                     }
+                 );
+                 if (!claimed) return res.status(409).json({ error: `Refund request is already ${request.status}` });
+                 await recordAudit(auditActorFromRequest(req), {
+                     action: `refund.${decision === 'approve' ? 'approve' : 'deny'}`, targetType: 'refund_request', targetId: request._id,
+                     before: { status: claimed.status }, after: { status: nextStatus, note: decisionNote }
+                 });
+                 if (decision === 'deny') {
+                     await notify('refund.denied', {
+                         to: request.userEmail, courseId: request.courseId, courseTitle: request.courseTitle, note: decisionNote
+                     });
+                     return res.json({ message: 'Refund denied' });
                  }
-                 if (updatedData.price !== undefined) {
-                    const priceNum = parseFloat(updatedData.price);
-                    if (isNaN(priceNum) || priceNum < 0) return res.status(400).json({ error: 'Invalid Price.'});
-                    updatedData.price = priceNum;
+
+                 let refund;
+                 try {
+                     // Retrying a failed request can't refund twice if Stripe created the refund but the response was lost
+                     refund = await stripe.refunds.create({
+                         payment_intent: request.paymentIntentId,
+                         metadata: { refundRequestId: id, courseId: request.courseId, userEmail: request.userEmail }
+                     }, { idempotencyKey: `refund-request-${id}` });
+                 } catch (stripeErr) {
+                     console.error("❌ Stripe refund failed:", stripeErr);
+                     await refundRequestsCollection.updateOne(
+                         { _id: request._id },
+                         {
+                             $set: { status: 'failed', failureMessage: stripeErr.message, updatedAt: new Date() },
+                             $push: { history: refundHistoryEntry('failed', 'stripe', 'system', stripeErr.message) }
+                         }
+                     );
+                     return res.status(502).json({ error: 'Stripe refund failed' });
                  }
-                 const result = await coursesCollection.updateOne(
-                     { _id: courseObjectId }, { $set: { ...updatedData, updatedAt: new Date() } }
+                 const revocationReason = `Refunded: ${request.reason}`;
+                 await removeEnrollment({
+                     userEmail: request.userEmail, courseId: request.courseId, paymentIntentId: request.paymentIntentId,
+                     revocation: { reason: revocationReason, actor, role: req.userRole }
+                 });
+                 await refundRequestsCollection.updateOne(
+                     { _id: request._id },
+                     {
+                         $set: { status: 'refunded', stripeRefundId: refund.id, revocationReason, refundedAt: new Date(), updatedAt: new Date() },
+                         $push: { history: refundHistoryEntry('refunded', actor, req.userRole, `Stripe refund ${refund.id}; enrollment revoked`) }
+                     }
                  );
-                 if (result.matchedCount === 0) return res.status(404).send({ error: 'Course not found' });
-                 if (result.modifiedCount === 0) return res.status(200).send({ message: 'No changes detected' });
-                 res.send({ message: 'Course updated successfully' });
+                 await notify('refund.issued', {
+                     to: request.userEmail, courseId: request.courseId, courseTitle: request.courseTitle,
+                     amount: request.amount, currency: request.currency
+                 });
+                 res.json({ message: 'Refund issued', refundId: refund.id });
              } catch (err) {
-                  console.error("❌ Error updating course:", err);
-                  res.status(500).send({ error: 'Course update failed' });
+                 console.error("❌ Error deciding refund request:", err);
+                 res.status(500).json({ error: 'Refund decision failed' });
+             }
+        });
+
+        // --- Progress Routes (Enrolled students) ---
+        app.get('/courses/:id/progress', verifyJWT, checkDbConnection, validate('GET /courses/:id/progress'), async (req, res) => {
+             const { id } = req.params;
+             const userEmail = req.decoded.email;
+             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+             try {
+                 if (!(await isEnrolled(userEmail, id))) return res.status(403).json({ error: 'Must be enrolled' });
+                 const lessons = await getOrderedLessons(id);
+                 const progress = await progressCollection.findOne({ userEmail, courseId: id });
+                 const completed = new Set(progress?.completedLessons || []);
+                 const summary = summarizeProgress(progress, lessons.map(lesson => lesson._id.toString()));
+                 const nextLesson = lessons.find(lesson => !completed.has(lesson._id.toString()));
+                 res.json({
+                     ...summary,
+                     completedLessons: [...completed],
+                     nextLessonId: nextLesson?._id || null
+                 });
+             } catch (err) {
+                 console.error("❌ Error fetching progress:", err);
+                 res.status(500).json({ error: 'Failed to fetch progress' });
+             }
+        });
+
+        app.post('/courses/:id/lessons/:lessonId/complete', verifyJWT, checkDbConnection, validate('POST /courses/:id/lessons/:lessonId/complete'), async (req, res) => {
+             const { id, lessonId } = req.params;
+             const userEmail = req.decoded.email;
+             if (!ObjectId.isValid(id) || !ObjectId.isValid(lessonId)) return res.status(400).json({ error: 'Invalid ID' });
+             try {
+                 if (!(await isEnrolled(userEmail, id))) return res.status(403).json({ error: 'Must be enrolled' });
+                 const lesson = await lessonsCollection.findOne({ _id: new ObjectId(lessonId), courseId: id });
+                 if (!lesson) return res.status(404).json({ error: 'Lesson not found' });
+                 const now = new Date();
+                 await progressCollection.updateOne(
+                     { userEmail, courseId: id },
+                     {
+                         $addToSet: { completedLessons: lessonId },
+                         $set: { lastLessonId: lessonId, resumePositionSeconds: 0, updatedAt: now },
+                         $setOnInsert: { startedAt: now }
+                     },
+                     { upsert: true }
+                 );
+                 res.json(await refreshProgress(userEmail, id));
+             } catch (err) {
+                 console.error("❌ Error marking lesson complete:", err);
+                 res.status(500).json({ error: 'Failed to update progress' });
+             }
+        });
+
+        app.delete('/courses/:id/lessons/:lessonId/complete', verifyJWT, checkDbConnection, validate('DELETE /courses/:id/lessons/:lessonId/complete'), async (req, res) => {
+             const { id, lessonId } = req.params;
+             const userEmail = req.decoded.email;
+             if (!ObjectId.isValid(id) || !ObjectId.isValid(lessonId)) return res.status(400).json({ error: 'Invalid ID' });
+             try {
+                 if (!(await isEnrolled(userEmail, id))) return res.status(403).json({ error: 'Must be enrolled' });
+                 await progressCollection.updateOne(
+                     { userEmail, courseId: id },
+                     { $pull: { completedLessons: lessonId }, $set: { updatedAt: new Date() } }
+                 );
+                 res.json(await refreshProgress(userEmail, id));
+             } catch (err) {
+                 console.error("❌ Error marking lesson incomplete:", err);
+                 res.status(500).json({ error: 'Failed to update progress' });
+             }
+        });
+
+        // Saves where the student left off (lesson and playback position)
+        app.put('/courses/:id/progress/resume', verifyJWT, checkDbConnection, validate('PUT /courses/:id/progress/resume'), async (req, res) => {
+             const { id } = req.params;
+             const { lessonId, positionSeconds } = req.body;
+             const userEmail = req.decoded.email;
+             if (!ObjectId.isValid(id) || !ObjectId.isValid(lessonId)) return res.status(400).json({ error: 'Invalid ID' });
+             const position = positionSeconds === undefined ? 0 : parseInt(positionSeconds, 10);
+             if (isNaN(position) || position < 0) return res.status(400).json({ error: 'Invalid positionSeconds' });
+             try {
+                 if (!(await isEnrolled(userEmail, id))) return res.status(403).json({ error: 'Must be enrolled' });
+                 const lesson = await lessonsCollection.findOne({ _id: new ObjectId(lessonId), courseId: id });
+                 if (!lesson) return res.status(404).json({ error: 'Lesson not found' });
+                 const now = new Date();
+                 await progressCollection.updateOne(
+                     { userEmail, courseId: id },
+                     {
+                         $set: { lastLessonId: lessonId, resumePositionSeconds: position, updatedAt: now },
+                         $setOnInsert: { startedAt: now, completedLessons: [] }
+                     },
+                     { upsert: true }
+                 );
+                 res.json({ message: 'Resume point saved' });
+             } catch (err) {
+                 console.error("❌ Error saving resume point:", err);
+                 res.status(500).json({ error: 'Failed to save resume point' });
+             }
+        });
+
+        // --- Certificate Routes ---
+        // Claims the certificate for a course finished before certificates were issued automatically
+        app.post('/courses/:id/certificate', verifyJWT, checkDbConnection, validate('POST /courses/:id/certificate'), async (req, res) => {
+             const { id } = req.params;
+             const userEmail = req.decoded.email;
+             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+             try {
+                 if (!(await isEnrolled(userEmail, id))) return res.status(403).json({ error: 'Must be enrolled' });
+                 const summary = await refreshProgress(userEmail, id);
+                 if (summary.status !== 'completed') return res.status(400).json({ error: 'Course not completed' });
+                 const certificate = await issueCertificate(userEmail, id);
+                 if (!certificate) return res.status(404).json({ error: 'Course not found' });
+                 res.status(201).json(certificate);
+             } catch (err) {
+                 console.error("❌ Error issuing certificate:", err);
+                 res.status(500).json({ error: 'Failed to issue certificate' });
+             }
+        });
+
+        app.get('/my-certificates', verifyJWT, checkDbConnection, validate('GET /my-certificates'), async (req, res) => {
+             try {
+                 const certificates = await certificatesCollection
+                     .find({ userEmail: req.decoded.email }).sort({ issuedAt: -1 }).toArray();
+                 res.json(certificates.map(certificate => ({
+                     ...certificate, verifyUrl: getCertificateVerifyUrl(req, certificate)
+                 })));
+             } catch (err) {
+                 console.error("❌ Error fetching certificates:", err);
+                 res.status(500).json({ error: 'Failed to fetch certificates' });
+             }
+        });
+
+        app.get('/certificates/:id/download', verifyJWT, checkDbConnection, getUserRole, validate('GET /certificates/:id/download'), async (req, res) => {
+             try {
+                 const certificate = await certificatesCollection.findOne({ certificateId: req.params.id });
+                 if (!certificate) return res.status(404).json({ error: 'Certificate not found' });
+                 if (certificate.userEmail !== req.decoded.email && !can(req, 'certificate:manage')) {
+                     return res.status(403).json({ error: 'Forbidden' });
+                 }
+                 if (certificate.revokedAt) return res.status(410).json({ error: 'Certificate revoked' });
+                 const svg = renderCertificateSvg({ ...certificate, verifyUrl: getCertificateVerifyUrl(req, certificate) });
+                 res.set('Content-Type', 'image/svg+xml');
+                 res.set('Content-Disposition', `attachment; filename="certificate-${certificate.certificateId}.svg"`);
+                 res.send(svg);
+             } catch (err) {
+                 console.error("❌ Error rendering certificate:", err);
+                 res.status(500).json({ error: 'Failed to render certificate' });
+             }
+        });
+
+        // Public: employers check a certificate with the token from its verify URL
+        app.get('/certificates/:id/verify', checkDbConnection, validate('GET /certificates/:id/verify'), async (req, res) => {
+             const { id } = req.params;
+             const { token } = req.query;
+             if (!token) return res.status(400).json({ valid: false, error: 'Missing token' });
+             if (!getCertificateSecret()) {
+                 console.error("❌ CERTIFICATE_SECRET is not set (or equals JWT_SECRET).");
+                 return res.status(503).json({ valid: false, error: 'Certificate verification not configured' });
+             }
+             if (!isValidCertificateToken(id, token)) return res.status(400).json({ valid: false, error: 'Invalid token' });
+             try {
+                 const certificate = await certificatesCollection.findOne({ certificateId: id });
+                 if (!certificate) {
+                     return res.status(404).json({ valid: false, error: 'Certificate not found' });
+                 }
+                 const details = {
+                     certificateId: certificate.certificateId, studentName: certificate.studentName,
+                     courseTitle: certificate.courseTitle, instructorName: certificate.instructorName,
+                     completedAt: certificate.completedAt, issuedAt: certificate.issuedAt
+                 };
+                 if (certificate.revokedAt) {
+                     return res.json({ valid: false, reason: 'revoked', revokedAt: certificate.revokedAt, ...details });
+                 }
+                 res.json({ valid: true, ...details });
+             } catch (err) {
+                 console.error("❌ Error verifying certificate:", err);
+                 res.status(500).json({ valid: false, error: 'Verification failed' });
+             }
+        });
+
+        // --- Waitlist Routes ---
+        app.post('/courses/:id/waitlist', verifyJWT, checkDbConnection, validate('POST /courses/:id/waitlist'), async (req, res) => {
+             const { id } = req.params;
+             const userEmail = req.decoded.email;
+             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+             const courseObjectId = new ObjectId(id);
+             try {
+                 const course = await coursesCollection.findOne({ _id: courseObjectId });
+                 if (!course) return res.status(404).json({ error: 'Course not found' });
+                 const hasStatus = course.status !== undefined;
+                 if (hasStatus && course.status !== 'approved') return res.status(400).json({ error: 'Course not approved' });
+                 if (course.deletedAt) return res.status(400).json({ error: 'Course archived' });
+                 if (await cohortsCollection.countDocuments({ courseId: id }, { limit: 1 })) {
+                     return res.status(400).json({ error: 'This course runs in cohorts; choose one with open seats' });
+                 }
+                 await releaseExpiredHolds(id);
+                 if (course.seats > 0) return res.status(400).json({ error: 'Seats available, enroll directly' });
+                 const enrollment = await enrollmentsCollection.findOne({ userEmail, courseId: id });
+                 if (enrollment) return res.status(400).json({ error: 'Already enrolled' });
+                 const existing = await waitlistCollection.findOne({ courseId: id, userEmail });
+                 if (existing && ['waiting', 'offered'].includes(existing.status)) {
+                     return res.status(400).json({ error: 'Already on waitlist' });
+                 }
+                 // Positions come from a per-course counter so they never repeat, even after people leave
+                 const seq = await coursesCollection.findOneAndUpdate(
+                     { _id: courseObjectId }, { $inc: { waitlistSeq: 1 } }, { returnDocument: 'after' }
+                 );
+                 const now = new Date();
+                 await waitlistCollection.updateOne(
+                     { courseId: id, userEmail },
+                     {
+                         $set: { status: 'waiting', position: seq.waitlistSeq, joinedAt: now, updatedAt: now },
+                         $unset: { offeredAt: '', holdExpiresAt: '' }
+                     },
+                     { upsert: true }
+                 );
+                 // A seat may have been freed while the queue was empty
+                 await offerSeatsToWaitlist(id);
+                 const entry = await waitlistCollection.findOne({ courseId: id, userEmail });
+                 res.status(201).json({
+                     message: 'Joined waitlist', status: entry.status,
+                     position: await getWaitlistPosition(entry), holdExpiresAt: entry.holdExpiresAt || null
+                 });
+             } catch (err) {
+                 console.error("❌ Error joining waitlist:", err);
+                 res.status(500).json({ error: 'Failed to join waitlist' });
+             }
+        });
+
+        app.get('/courses/:id/waitlist/me', verifyJWT, checkDbConnection, validate('GET /courses/:id/waitlist/me'), async (req, res) => {
+             const { id } = req.params;
+             const userEmail = req.decoded.email;
+             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+             try {
+                 await releaseExpiredHolds(id);
+                 await offerSeatsToWaitlist(id);
+                 const entry = await waitlistCollection.findOne({ courseId: id, userEmail });
+                 if (!entry) return res.status(404).json({ error: 'Not on waitlist' });
+                 res.json({
+                     status: entry.status, position: await getWaitlistPosition(entry),
+                     joinedAt: entry.joinedAt, holdExpiresAt: entry.holdExpiresAt || null
+                 });
+             } catch (err) {
+                 console.error("❌ Error fetching waitlist position:", err);
+                 res.status(500).json({ error: 'Failed to fetch waitlist position' });
+             }
+        });
+
+        app.delete('/courses/:id/waitlist', verifyJWT, checkDbConnection, validate('DELETE /courses/:id/waitlist'), async (req, res) => {
+             const { id } = req.params;
+             const userEmail = req.decoded.email;
+             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+             try {
+                 const left = await leaveWaitlist(id, userEmail);
+                 if (!left) return res.status(404).json({ error: 'Not on waitlist' });
+                 res.json({ message: 'Left waitlist' });
+             } catch (err) {
+                 console.error("❌ Error leaving waitlist:", err);
+                 res.status(500).json({ error: 'Failed to leave waitlist' });
+             }
+        });
+
+        // --- Admin Routes ---
+        app.get('/admin/users', verifyJWT, checkDbConnection, getUserRole, requirePermission('user:manage'), validate('GET /admin/users'), async (req, res) => {
+             try {
+                 const users = await usersCollection.find({}, { projection: { password: 0 } }).toArray();
+                 res.json(users);
+             } catch (err) {
+                 console.error("❌ Error fetching users for admin:", err);
+                 res.status(500).json({ error: 'Fetch failed' });
              }
          });
 
-        // DELETE Course
-        app.delete('/courses/:id', verifyJWT, checkDbConnection, getUserRole, verifyInstructor, async (req, res) => {
-             const { id } = req.params;
-             const requestingUserEmail = req.decoded.email;
-             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
-             const courseObjectId = new ObjectId(id);
-            try {
-                 const existingCourse = await coursesCollection.findOne({ _id: courseObjectId });
-                 if (!existingCourse) return res.status(404).json({ message: 'Course not found' });
-                 if (req.userRole === 'instructor' && existingCourse.instructorEmail !== requestingUserEmail) {
-                    return res.status(403).send({ error: 'Forbidden: Not your course' });
-                 }
-                 const deleteResult = await coursesCollection.deleteOne({ _id: courseObjectId });
-                 if (deleteResult.deletedCount === 0) return res.status(404).json({ message: 'Delete failed' });
-                 await enrollmentsCollection.deleteMany({ courseId: id });
-                 await reviewsCollection.deleteMany({ courseObjectId: courseObjectId });
-                 res.send({ message: 'Course and related data deleted' });
+         app.patch('/admin/users/:email/role', verifyJWT, checkDbConnection, getUserRole, requirePermission('user:manage'), validate('PATCH /admin/users/:email/role'), async (req, res) => {
+              const { email } = req.params;
+              const { role } = req.body;
+              if (typeof role !== 'string' || !ROLE_NAME_PATTERN.test(role)) return res.status(400).json({ error: 'Invalid role' });
+             try {
+                  if (!Object.hasOwn(BUILT_IN_ROLES, role) && !(await rolesCollection.findOne({ name: role }))) {
+                      return res.status(400).json({ error: 'Invalid role' });
+                  }
+                  // No handing out more than you hold yourself
+                  if ((await getRolePermissions(role)).some(permission => !can(req, permission))) {
+                      return res.status(403).json({ error: 'Forbidden: Role grants permissions you do not have' });
+                  }
+                  const previous = await usersCollection.findOneAndUpdate({ email }, { $set: { role: role } });
+                  if (!previous) return res.status(404).json({ error: 'User not found' });
+                  // Their existing sessions were issued under the old role; make them sign in again
+                  if (previous.role !== role) await revokeSessions({ userEmail: email }, 'role_change');
+                  await recordAudit(auditActorFromRequest(req), {
+                      action: 'user.role_change', targetType: 'user', targetId: email,
+                      before: { role: previous.role || null }, after: { role }
+                  });
+                  res.json({ message: `Role updated to ${role}` });
+              } catch (err) {
+                  console.error("❌ Error updating user role:", err);
+                  res.status(500).json({ error: 'Update failed' });
+              }
+          });
+
+          // ?status= filters by review status; ?revision=pending lists courses with queued edits; ?archived=true|false
+          app.get('/admin/courses', verifyJWT, checkDbConnection, getUserRole, requirePermission('course:view:any'), validate('GET /admin/courses'), async (req, res) => {
+              const query = {};
+              if (req.query.status) query.status = req.query.status;
+              if (req.query.revision === 'pending') query.pendingRevision = { $type: 'object' };
+              if (req.query.archived === 'true') query.deletedAt = { $type: 'date' };
+              if (req.query.archived === 'false') query.deletedAt = null;
+              try {
+                  const courses = await coursesCollection.find(query).sort({ createdAt: -1 }).toArray();
+                  res.json(courses);
+              } catch (err) {
+                  console.error("❌ Error fetching all courses for admin:", err);
+                  res.status(500).json({ error: 'Fetch failed' });
+              }
+          });
+
+          // Dashboard totals and daily series; ?from/?to (default: the last 30 days), ?top for the ranked lists
+          app.get('/admin/stats', verifyJWT, checkDbConnection, getUserRole, requirePermission('stats:view'), validate('GET /admin/stats'), async (req, res) => {
+              const to = req.query.to ? new Date(req.query.to) : new Date();
+              const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - ADMIN_STATS_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+              const top = req.query.top || 5;
+              if (from > to) return res.status(400).json({ error: '"from" must be before "to"' });
+              if (to - from > ADMIN_STATS_MAX_DAYS * 24 * 60 * 60 * 1000) return res.status(400).json({ error: `Date range can't exceed ${ADMIN_STATS_MAX_DAYS} days` });
+              try {
+                  // An open-ended range is cached as such, so "last 30 days" reloads hit the cache
+                  const key = [req.query.from || '', req.query.to || 'now', top].join('|');
+                  res.json(await getAdminStats(key, { from, to, top }));
+              } catch (err) {
+                  console.error("❌ Error computing admin stats:", err);
+                  res.status(500).json({ error: 'Failed to compute stats' });
+              }
+          });
+
+          app.patch('/admin/courses/:id/status', verifyJWT, checkDbConnection, getUserRole, requirePermission('course:approve'), validate('PATCH /admin/courses/:id/status'), async (req, res) => {
+               const { id } = req.params;
+               const { status, note } = req.body;
+               if (!['approved', 'rejected', 'pending'].includes(status)) return res.status(400).json({ error: 'Invalid status' });
+               if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+               const feedback = typeof note === 'string' ? note.trim() : '';
+               if (status === 'rejected' && !feedback) return res.status(400).json({ error: 'A note explaining the rejection is required' });
+             try {
+                   const previous = await coursesCollection.findOneAndUpdate(
+                       { _id: new ObjectId(id) },
+                       {
+                           $set: { status: status, rejectionReason: status === 'rejected' ? feedback : null, reviewedBy: req.decoded.email, reviewedAt: new Date() },
+                           $push: { statusHistory: courseHistoryEntry('status_changed', status, req.decoded.email, req.userRole, feedback || null) }
+                       },
+                       { projection: { status: 1, courseTitle: 1, instructorEmail: 1 } }
+                   );
+                   if (!previous) return res.status(404).json({ error: 'Course not found' });
+                   await recordAudit(auditActorFromRequest(req), {
+                       action: 'course.status_change', targetType: 'course', targetId: id,
+                       before: { status: previous.status || null }, after: { status, note: feedback || null }
+                   });
+                   if (status !== 'pending' && previous.status !== status) {
+                       await notify(`course.${status}`, {
+                           to: previous.instructorEmail, courseId: id, courseTitle: previous.courseTitle, note: feedback || null
+                       });
+                   }
+                   res.json({ message: `Status updated to ${status}` });
+               } catch (err) {
+                   console.error("❌ Error updating course status:", err);
+                   res.status(500).json({ error: 'Update failed' });
+               }
+           });
+
+          // --- Roles ---
+          // GET Built-in and custom roles, plus every known permission
+          app.get('/admin/roles', verifyJWT, checkDbConnection, getUserRole, requirePermission('role:manage'), validate('GET /admin/roles'), async (req, res) => {
+              try {
+                  const customRoles = await rolesCollection.find({}).sort({ name: 1 }).toArray();
+                  res.json({
+                      builtIn: Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({ name, permissions })),
+                      custom: customRoles,
+                      permissions: PERMISSIONS
+                  });
+              } catch (err) {
+                  console.error("❌ Error fetching roles:", err);
+                  res.status(500).json({ error: 'Fetch failed' });
+              }
+          });
+
+          // PUT Create or replace a custom role { permissions, description }
+          app.put('/admin/roles/:name', verifyJWT, checkDbConnection, getUserRole, requirePermission('role:manage'), validate('PUT /admin/roles/:name'), async (req, res) => {
+              const { name } = req.params;
+              const { permissions, description } = req.body;
+              if (!ROLE_NAME_PATTERN.test(name) || name === 'guest') return res.status(400).json({ error: 'Invalid role name' });
+              if (Object.hasOwn(BUILT_IN_ROLES, name)) return res.status(400).json({ error: 'Built-in roles cannot be changed' });
+              if (!Array.isArray(permissions) || permissions.some(permission => typeof permission !== 'string' || !isKnownPermission(permission))) {
+                  return res.status(400).json({ error: 'Permissions must be a list of known permissions' });
+              }
+              if (permissions.some(permission => !can(req, permission))) {
+                  return res.status(403).json({ error: 'Forbidden: Role grants permissions you do not have' });
+              }
+              try {
+                  const now = new Date();
+                  const previous = await rolesCollection.findOneAndUpdate(
+                      { name },
+                      {
+                          $set: { permissions: [...new Set(permissions)], description: typeof description === 'string' ? description.trim() : null, updatedAt: now },
+                          $setOnInsert: { name, createdAt: now, createdBy: req.decoded.email }
+                      },
+                      { upsert: true }
+                  );
+                  customRoleCache.delete(name);
+                  await recordAudit(auditActorFromRequest(req), {
+                      action: previous ? 'role.update' : 'role.create', targetType: 'role', targetId: name,
+                      before: previous ? { permissions: previous.permissions } : null, after: { permissions }
+                  });
+                  res.status(previous ? 200 : 201).json({ message: previous ? 'Role updated' : 'Role created' });
+              } catch (err) {
+                  console.error("❌ Error saving role:", err);
+                  res.status(500).json({ error: 'Failed to save role' });
+              }
+          });
+
+          app.delete('/admin/roles/:name', verifyJWT, checkDbConnection, getUserRole, requirePermission('role:manage'), validate('DELETE /admin/roles/:name'), async (req, res) => {
+              const { name } = req.params;
+              if (Object.hasOwn(BUILT_IN_ROLES, name)) return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+              try {
+                  const assigned = await usersCollection.countDocuments({ role: name });
+                  if (assigned > 0) return res.status(400).json({ error: `Role is assigned to ${assigned} user(s)` });
+                  const deleted = await rolesCollection.findOneAndDelete({ name });
+                  if (!deleted) return res.status(404).json({ error: 'Role not found' });
+                  customRoleCache.delete(name);
+                  await recordAudit(auditActorFromRequest(req), {
+                      action: 'role.delete', targetType: 'role', targetId: name,
+                      before: { permissions: deleted.permissions }, after: null
+                  });
+                  res.json({ message: 'Role deleted' });
+              } catch (err) {
+                  console.error("❌ Error deleting role:", err);
+                  res.status(500).json({ error: 'Failed to delete role' });
+              }
+          });
+
+          // GET Instructor applications, oldest first (?status=pending by default)
+          app.get('/admin/instructor-applications', verifyJWT, checkDbConnection, getUserRole, requirePermission('instructor_application:review'), validate('GET /admin/instructor-applications'), async (req, res) => {
+              const status = req.query.status || 'pending';
+              if (!['pending', 'approved', 'rejected', 'all'].includes(status)) return res.status(400).json({ error: 'Invalid status' });
+              try {
+                  const applications = await instructorApplicationsCollection
+                      .find(status === 'all' ? {} : { status }).sort({ createdAt: 1 }).toArray();
+                  res.json(applications);
+              } catch (err) {
+                  console.error("❌ Error fetching instructor applications:", err);
+                  res.status(500).json({ error: 'Fetch failed' });
+              }
+          });
+
+          // PATCH Approve (promote + create profile) or reject an instructor application
+          app.patch('/admin/instructor-applications/:id', verifyJWT, checkDbConnection, getUserRole, requirePermission('instructor_application:review'), validate('PATCH /admin/instructor-applications/:id'), async (req, res) => {
+              const { id } = req.params;
+              const { decision, note } = req.body;
+              if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+              if (!['approve', 'reject'].includes(decision)) return res.status(400).json({ error: 'Decision must be approve or reject' });
+              const reviewNote = typeof note === 'string' && note.trim() ? note.trim() : null;
+              if (decision === 'reject' && !reviewNote) return res.status(400).json({ error: 'Note required when rejecting' });
+              try {
+                  const status = decision === 'approve' ? 'approved' : 'rejected';
+                  const application = await instructorApplicationsCollection.findOneAndUpdate(
+                      { _id: new ObjectId(id), status: 'pending' },
+                      { $set: { status, reviewNote, reviewedBy: req.decoded.email, reviewedAt: new Date(), updatedAt: new Date() } },
+                      { returnDocument: 'after' }
+                  );
+                  if (!application) return res.status(409).json({ error: 'Application not found or already decided' });
+                  const actor = auditActorFromRequest(req);
+                  await recordAudit(actor, {
+                      action: `instructor_application.${decision}`, targetType: 'instructor_application', targetId: id,
+                      before: { status: 'pending' }, after: { status, note: reviewNote }
+                  });
+                  if (decision === 'reject') return res.json({ message: 'Application rejected' });
+
+                  const { userEmail } = application;
+                  const now = new Date();
+                  // Someone who can already create courses (e.g. promoted to admin while the
+                  // application was pending) keeps their role; only the role we read is replaced
+                  const user = await usersCollection.findOne({ email: userEmail });
+                  const previousRole = user?.role || 'student';
+                  let roleChanged = false;
+                  if (!roleAllows(await getRolePermissions(previousRole), 'course:create')) {
+                      const result = user
+                          ? await usersCollection.updateOne(
+                              { _id: user._id, role: user.role ?? null },
+                              { $set: { role: 'instructor', updatedAt: now } }
+                          )
+                          : await usersCollection.updateOne(
+                              { email: userEmail },
+                              { $setOnInsert: { email: userEmail, role: 'instructor', createdAt: now, updatedAt: now } },
+                              { upsert: true }
+                          );
+                      roleChanged = result.modifiedCount > 0 || !!result.upsertedId;
+                  }
+                  await instructorProfilesCollection.updateOne(
+                      { userEmail },
+                      {
+                          $set: { name: application.name, bio: application.bio, expertise: application.expertise, sampleLinks: application.sampleLinks, updatedAt: now },
+                          $setOnInsert: { userEmail, applicationId: application._id, createdAt: now }
+                      },
+                      { upsert: true }
+                  );
+                  if (!roleChanged) return res.json({ message: `Application approved; user keeps the ${previousRole} role` });
+                  await revokeSessions({ userEmail }, 'role_change');
+                  await recordAudit(actor, {
+                      action: 'user.role_change', targetType: 'user', targetId: userEmail,
+                      before: { role: previousRole }, after: { role: 'instructor' }
+                  });
+                  res.json({ message: 'Application approved; user is now an instructor' });
+              } catch (err) {
+                  console.error("❌ Error deciding instructor application:", err);
+                  res.status(500).json({ error: 'Decision failed' });
+              }
+          });
+
+          // POST Restore an archived course before it is purged
+          app.post('/admin/courses/:id/restore', verifyJWT, checkDbConnection, getUserRole, requirePermission('course:restore'), validate('POST /admin/courses/:id/restore'), async (req, res) => {
+              const { id } = req.params;
+              if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+              try {
+                  const previous = await coursesCollection.findOneAndUpdate(
+                      { _id: new ObjectId(id), deletedAt: { $type: 'date' }, purgeAfter: { $gt: new Date() } },
+                      { $set: { deletedAt: null, deletedBy: null, purgeAfter: null, updatedAt: new Date() } }
+                  );
+                  if (!previous) return res.status(404).json({ error: 'No archived course within the retention period' });
+                  await recordAudit(auditActorFromRequest(req), {
+                      action: 'course.restore', targetType: 'course', targetId: id,
+                      before: { deletedAt: previous.deletedAt, deletedBy: previous.deletedBy, purgeAfter: previous.purgeAfter },
+                      after: { deletedAt: null }
+                  });
+                  res.json({ message: 'Course restored' });
+              } catch (err) {
+                  console.error("❌ Error restoring course:", err);
+                  res.status(500).json({ error: 'Restore failed' });
+              }
+          });
+
+          // PATCH Approve (apply) or reject a queued revision of an approved course
+          app.patch('/admin/courses/:id/revision', verifyJWT, checkDbConnection, getUserRole, requirePermission('course:approve'), validate('PATCH /admin/courses/:id/revision'), async (req, res) => {
+              const { id } = req.params;
+              const { action, note } = req.body;
+              if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+              if (!['approve', 'reject'].includes(action)) return res.status(400).json({ error: 'Action must be approve or reject' });
+              const feedback = typeof note === 'string' ? note.trim() : '';
+              if (action === 'reject' && !feedback) return res.status(400).json({ error: 'A note explaining the rejection is required' });
+              try {
+                  const course = await coursesCollection.findOne({ _id: new ObjectId(id) });
+                  if (!course) return res.status(404).json({ error: 'Course not found' });
+                  if (!course.pendingRevision) return res.status(400).json({ error: 'No pending revision' });
+                  const { changes, submittedAt } = course.pendingRevision;
+                  const now = new Date();
+                  const update = {
+                      $set: { updatedAt: now },
+                      $unset: { pendingRevision: '' },
+                      $push: { statusHistory: courseHistoryEntry(`revision_${action === 'approve' ? 'approved' : 'rejected'}`, course.status, req.decoded.email, req.userRole, feedback || null) }
+                  };
+                  if (action === 'approve') {
+                      Object.assign(update.$set, changes);
+                      if (changes.duration !== undefined) update.$set.durationWeeks = parseDurationWeeks(changes.duration);
+                      update.$set.lastRevisionFeedback = null;
+                  } else {
+                      update.$set.lastRevisionFeedback = { note: feedback, by: req.decoded.email, at: now, changes };
+                  }
+                  // Guard against the instructor amending the revision while it was being reviewed
+                  const result = await coursesCollection.updateOne(
+                      { _id: course._id, 'pendingRevision.submittedAt': submittedAt }, update
+                  );
+                  if (result.matchedCount === 0) return res.status(409).json({ error: 'Revision changed while under review; reload and try again' });
+                  await recordAudit(auditActorFromRequest(req), {
+                      action: `course.revision_${action}`, targetType: 'course', targetId: id,
+                      before: action === 'approve' ? Object.fromEntries(Object.keys(changes).map(field => [field, course[field] ?? null])) : null,
+                      after: { changes, note: feedback || null }
+                  });
+                  await notify(`course.revision_${action === 'approve' ? 'approved' : 'rejected'}`, {
+                      to: course.instructorEmail, courseId: id, courseTitle: course.courseTitle, note: feedback || null
+                  });
+                  res.json({ message: action === 'approve' ? 'Revision applied' : 'Revision rejected' });
+              } catch (err) {
+                  console.error("❌ Error reviewing course revision:", err);
+                  res.status(500).json({ error: 'Revision review failed' });
+              }
+          });
+
+          app.patch('/admin/certificates/:id/revoke', verifyJWT, checkDbConnection, getUserRole, requirePermission('certificate:manage'), validate('PATCH /admin/certificates/:id/revoke'), async (req, res) => {
+              const { reason } = req.body;
+              if (!reason || typeof reason !== 'string' || reason.trim().length === 0) return res.status(400).json({ error: 'Reason required' });
+              try {
+                  const result = await certificatesCollection.updateOne(
+                      { certificateId: req.params.id, revokedAt: null },
+                      { $set: { revokedAt: new Date(), revokedBy: req.decoded.email, revokedReason: reason.trim() } }
+                  );
+                  if (result.matchedCount === 0) return res.status(404).json({ error: 'Certificate not found or already revoked' });
+                  await recordAudit(auditActorFromRequest(req), {
+                      action: 'certificate.revoke', targetType: 'certificate', targetId: req.params.id,
+                      before: { revoked: false }, after: { revoked: true, reason: reason.trim() }
+                  });
+                  res.json({ message: 'Certificate revoked' });
+              } catch (err) {
+                  console.error("❌ Error revoking certificate:", err);
+                  res.status(500).json({ error: 'Revoke failed' });
+              }
+          });
+
+          app.post('/admin/categories', verifyJWT, checkDbConnection, getUserRole, requirePermission('category:manage'), validate('POST /admin/categories'), async (req, res) => {
+              const { name, slug, parentId, description, order } = req.body;
+              if (!name || typeof name !== 'string' || name.trim().length === 0) return res.status(400).json({ error: 'Name required' });
+              const finalSlug = slugify(slug || name);
+              if (!finalSlug) return res.status(400).json({ error: 'Invalid slug' });
+              if (parentId != null && !ObjectId.isValid(parentId)) return res.status(400).json({ error: 'Invalid parentId' });
+              try {
+                  if (parentId != null) {
+                      const parent = await categoriesCollection.findOne({ _id: new ObjectId(parentId) });
+                      if (!parent) return res.status(404).json({ error: 'Parent category not found' });
+                  }
+                  const newCategory = {
+                      name: name.trim(), slug: finalSlug,
+                      parentId: parentId != null ? new ObjectId(parentId) : null,
+                      description: typeof description === 'string' ? description : '',
+                      order: parseInt(order, 10) || 0,
+                      createdAt: new Date(), updatedAt: new Date()
+                  };
+                  const result = await categoriesCollection.insertOne(newCategory);
+                  res.status(201).json({ message: 'Category created', insertedId: result.insertedId, slug: finalSlug });
+              } catch (err) {
+                  if (err.code === 11000) return res.status(400).json({ error: 'Slug already in use' });
+                  console.error("❌ Error creating category:", err);
+                  res.status(500).json({ error: 'Failed to create category' });
+              }
+          });
+
+          app.put('/admin/categories/:id', verifyJWT, checkDbConnection, getUserRole, requirePermission('category:manage'), validate('PUT /admin/categories/:id'), async (req, res) => {
+              const { id } = req.params;
+              const { name, slug, parentId, description, order } = req.body;
+              if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+              const categoryObjectId = new ObjectId(id);
+              const updateFields = {};
+              if (name !== undefined) {
+                  if (typeof name !== 'string' || name.trim().length === 0) return res.status(400).json({ error: 'Name required' });
+                  updateFields.name = name.trim();
+              }
+              if (slug !== undefined) {
+                  updateFields.slug = slugify(slug);
+                  if (!updateFields.slug) return res.status(400).json({ error: 'Invalid slug' });
+              }
+              if (description !== undefined) updateFields.description = String(description);
+              if (order !== undefined) updateFields.order = parseInt(order, 10) || 0;
+              try {
+                  if (parentId !== undefined) {
+                      if (parentId === null) {
+                          updateFields.parentId = null;
+                      } else {
+                          if (!ObjectId.isValid(parentId)) return res.status(400).json({ error: 'Invalid parentId' });
+                          // Walk up from the new parent; meeting this category again would make a cycle
+                          for (let current = new ObjectId(parentId); current;) {
+                              if (current.equals(categoryObjectId)) return res.status(400).json({ error: 'A category cannot be nested under itself' });
+                              const ancestor = await categoriesCollection.findOne({ _id: current });
+                              if (!ancestor) return res.status(404).json({ error: 'Parent category not found' });
+                              current = ancestor.parentId;
+                          }
+                          updateFields.parentId = new ObjectId(parentId);
+                      }
+                  }
+                  const result = await categoriesCollection.updateOne(
+                      { _id: categoryObjectId }, { $set: { ...updateFields, updatedAt: new Date() } }
+                  );
+                  if (result.matchedCount === 0) return res.status(404).json({ error: 'Category not found' });
+                  res.json({ message: 'Category updated' });
+              } catch (err) {
+                  if (err.code === 11000) return res.status(400).json({ error: 'Slug already in use' });
+                  console.error("❌ Error updating category:", err);
+                  res.status(500).json({ error: 'Failed to update category' });
+              }
+          });
+
+          // DELETE Category (must have no subcategories; its courses become uncategorized)
+          app.delete('/admin/categories/:id', verifyJWT, checkDbConnection, getUserRole, requirePermission('category:manage'), validate('DELETE /admin/categories/:id'), async (req, res) => {
+              const { id } = req.params;
+              if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+              const categoryObjectId = new ObjectId(id);
+              try {
+                  const childCount = await categoriesCollection.countDocuments({ parentId: categoryObjectId });
+                  if (childCount > 0) return res.status(400).json({ error: 'Move or delete its subcategories first' });
+                  const result = await categoriesCollection.deleteOne({ _id: categoryObjectId });
+                  if (result.deletedCount === 0) return res.status(404).json({ error: 'Category not found' });
+                  await coursesCollection.updateMany({ categoryId: categoryObjectId }, { $set: { categoryId: null } });
+                  res.json({ message: 'Category deleted' });
               } catch (err) {
-                  console.error('❌ Error deleting course:', err);
-                  res.status(500).json({ error: 'Failed to delete course' });
+                  console.error("❌ Error deleting category:", err);
+                  res.status(500).json({ error: 'Failed to delete category' });
               }
-         });
+          });
 
-        // --- Enrollment Routes ---
-        app.post('/enrollments', verifyJWT, checkDbConnection, getUserRole, async (req, res) => {
-               const { userEmail, courseId, courseTitle } = req.body;
-               const requestingUserEmail = req.decoded.email;
-               if (!userEmail || !courseId || !courseTitle) return res.status(400).json({ error: 'Missing details' });
-               if (requestingUserEmail !== userEmail) return res.status(403).json({ error: 'Email mismatch' });
-               if (!ObjectId.isValid(courseId)) return res.status(400).json({ error: 'Invalid Course ID' });
-               const courseObjectId = new ObjectId(courseId);
-            try {
-                  const existing = await enrollmentsCollection.findOne({ userEmail, courseId });
-                  if (existing) return res.status(400).json({ error: 'Already enrolled' });
-                  const count = await enrollmentsCollection.countDocuments({ userEmail });
-                  if (count >= 3) return res.status(400).json({ error: 'Enrollment limit' });
-                  const course = await coursesCollection.findOne({ _id: courseObjectId });
-                  if (!course) return res.status(404).json({ error: 'Course not found' });
-                  // (FIX) Check status OR existence
-                  const hasStatus = course.status !== undefined;
-                  if (hasStatus && course.status !== 'approved') return res.status(400).json({ error: 'Course not approved' });
-                  
-                  if (course.seats <= 0) return res.status(400).json({ error: 'No seats available' });
-                  const enrollmentResult = await enrollmentsCollection.insertOne({ userEmail, courseId, courseTitle, enrolledAt: new Date() });
-                  const updateResult = await coursesCollection.updateOne(
-                      { _id: courseObjectId, seats: { $gt: 0 } },
-                      { $inc: { seats: -1, enrollmentCount: 1 } }
+          // Moderation queue: reviews with open reports, most reported first
+          app.get('/admin/reviews/reports', verifyJWT, checkDbConnection, getUserRole, requirePermission('review:moderate'), validate('GET /admin/reviews/reports'), async (req, res) => {
+              try {
+                  const queue = await reviewReportsCollection.aggregate([
+                      { $match: { status: 'open' } },
+                      { $group: {
+                          _id: '$reviewId', reportCount: { $sum: 1 }, firstReportedAt: { $min: '$createdAt' },
+                          reports: { $push: { reporterEmail: '$reporterEmail', reason: '$reason', createdAt: '$createdAt' } }
+                      }},
+                      { $lookup: { from: 'reviews', localField: '_id', foreignField: '_id', as: 'review' } },
+                      { $unwind: '$review' },
+                      { $sort: { reportCount: -1, firstReportedAt: 1 } }
+                  ]).toArray();
+                  res.json(queue);
+              } catch (err) {
+                  console.error("❌ Error fetching moderation queue:", err);
+                  res.status(500).json({ error: 'Fetch failed' });
+              }
+          });
+
+          // PATCH Moderate a review: hide it, or restore it and dismiss its reports. Either way open reports are closed.
+          app.patch('/admin/reviews/:reviewId/moderation', verifyJWT, checkDbConnection, getUserRole, requirePermission('review:moderate'), validate('PATCH /admin/reviews/:reviewId/moderation'), async (req, res) => {
+              const { reviewId } = req.params;
+              const { action, note } = req.body;
+              if (!ObjectId.isValid(reviewId)) return res.status(400).json({ error: 'Invalid ID' });
+              if (!['hide', 'restore'].includes(action)) return res.status(400).json({ error: 'Action must be hide or restore' });
+              try {
+                  const reviewObjectId = new ObjectId(reviewId);
+                  const review = await reviewsCollection.findOne({ _id: reviewObjectId });
+                  if (!review) return res.status(404).json({ error: 'Review not found' });
+                  const moderation = { moderatedBy: req.decoded.email, moderatedAt: new Date(), moderationNote: note || null };
+                  await reviewsCollection.updateOne(
+                      { _id: reviewObjectId },
+                      action === 'hide'
+                          ? { $set: { status: 'hidden', hiddenReason: 'moderator', ...moderation } }
+                          // Restoring clears the report tally, so the review doesn't count old reports against it
+                          : { $set: { status: 'visible', hiddenReason: null, reportCount: 0, ...moderation } }
                   );
-                   if (updateResult.modifiedCount === 0) {
-                       await enrollmentsCollection.deleteOne({ _id: enrollmentResult.insertedId });
-                       return res.status(409).json({ error: 'Seat conflict' });
-                   }
-                  res.status(201).json({ message: 'Enrolled', enrolledId: enrollmentResult.insertedId });
-             } catch (err) {
-                 console.error('❌ Enrollment error:', err);
-                 res.status(500).json({ error: 'Enrollment failed' });
-             }
-         });
+                  await reviewReportsCollection.updateMany(
+                      { reviewId: reviewObjectId, status: 'open' },
+                      { $set: { status: action === 'hide' ? 'upheld' : 'dismissed', resolvedBy: req.decoded.email, resolvedAt: new Date() } }
+                  );
+                  await refreshCourseRating(review.courseObjectId);
+                  await recordAudit(auditActorFromRequest(req), {
+                      action: `review.${action}`, targetType: 'review', targetId: reviewId,
+                      before: { status: review.status || 'visible' }, after: { status: action === 'hide' ? 'hidden' : 'visible', note: note || null }
+                  });
+                  res.json({ message: action === 'hide' ? 'Review hidden' : 'Review restored' });
+              } catch (err) {
+                  console.error("❌ Error moderating review:", err);
+                  res.status(500).json({ error: 'Moderation failed' });
+              }
+          });
 
-         app.get('/enrolled-status', verifyJWT, checkDbConnection, async (req, res) => {
-               const { email, courseId } = req.query;
-               if (!email || !courseId) return res.status(400).json({ error: 'Missing params' });
-               if (req.decoded.email !== email) return res.status(403).json({ error: 'Unauthorized' });
-             try {
-               const enrollment = await enrollmentsCollection.findOne({ userEmail: email, courseId: courseId });
-               res.json({ enrolled: !!enrollment, enrollmentId: enrollment?._id });
-             } catch (err) {
-                 console.error('❌ Error checking enrollment status:', err);
-                 res.status(500).json({ error: 'Status check failed' });
-             }
+          // GET Audit log (?actor=&action=&from=&to=&page=&limit=, or ?format=csv for every match)
+          // `action` is either an exact action (`course.delete`) or a target prefix (`course`)
+          app.get('/admin/audit', verifyJWT, checkDbConnection, getUserRole, requirePermission('audit:read'), validate('GET /admin/audit'), async (req, res) => {
+              const { actor, action, from, to, format } = req.query;
+              const query = {};
+              if (actor) query.actorEmail = String(actor);
+              if (action) {
+                  const actionName = String(action);
+                  query.action = actionName.includes('.') ? actionName : { $regex: `^${actionName.replace(/[^a-z_]/gi, '')}\\.` };
+              }
+              if (from || to) {
+                  query.createdAt = {};
+                  if (from) query.createdAt.$gte = new Date(from);
+                  if (to) query.createdAt.$lte = new Date(to);
+                  if (Object.values(query.createdAt).some(date => isNaN(date))) return res.status(400).json({ error: 'Invalid date range' });
+              }
+              try {
+                  if (format === 'csv') {
+                      res.set('Content-Type', 'text/csv; charset=utf-8');
+                      res.set('Content-Disposition', 'attachment; filename="audit-log.csv"');
+                      res.write(csvRow(AUDIT_CSV_COLUMNS));
+                      const cursor = auditLogsCollection.find(query).sort({ createdAt: -1 });
+                      for await (const entry of cursor) {
+                          res.write(csvRow(AUDIT_CSV_COLUMNS.map(column => entry[column])));
+                      }
+                      return res.end();
+                  }
+                  const page = parseNumberParam(req.query.page) ?? 1;
+                  const limit = parseNumberParam(req.query.limit) ?? 50;
+                  if (!Number.isInteger(page) || page < 1) return res.status(400).json({ error: 'Invalid page' });
+                  if (!Number.isInteger(limit) || limit < 1 || limit > 200) return res.status(400).json({ error: 'Limit must be 1-200' });
+                  const entries = await auditLogsCollection.find(query).sort({ createdAt: -1 })
+                      .skip((page - 1) * limit).limit(limit).toArray();
+                  const total = await auditLogsCollection.countDocuments(query);
+                  res.json({ entries, total, page, limit, totalPages: Math.ceil(total / limit) });
+              } catch (err) {
+                  console.error("❌ Error fetching audit log:", err);
+                  if (res.headersSent) return res.end();
+                  res.status(500).json({ error: 'Fetch failed' });
+              }
           });
 
-          app.get('/my-enrolled-courses/:email', verifyJWT, checkDbConnection, async (req, res) => {
-               const emailParam = req.params.email;
-               if (req.decoded.email !== emailParam) return res.status(403).json({ error: 'Unauthorized' });
-             try {
-               const enrollments = await enrollmentsCollection
-                   .find({ userEmail: emailParam })
-                   .project({ courseId: 1, courseTitle: 1, enrolledAt: 1 })
-                   .sort({ enrolledAt: -1 })
-                   .toArray();
-               res.json(enrollments);
-             } catch (err) {
-                 console.error('❌ Fetch user enrollments failed:', err);
-                 res.status(500).json({ error: 'Fetch failed' });
-             }
+          // POST Finalize account deletions whose grace period is over (run on a schedule)
+          app.post('/admin/account-deletions/finalize', verifyJWT, checkDbConnection, getUserRole, requirePermission('system:maintain'), validate('POST /admin/account-deletions/finalize'), async (req, res) => {
+              try {
+                  const due = await usersCollection.find({ deletionScheduledFor: { $lte: new Date() } }).project({ email: 1 }).toArray();
+                  const finalized = [];
+                  for (const { email } of due) {
+                      const { anonymousId } = await finalizeAccountDeletion(email);
+                      finalized.push(anonymousId);
+                  }
+                  res.json({ finalizedCount: finalized.length, finalized });
+              } catch (err) {
+                  console.error("❌ Error finalizing account deletions:", err);
+                  res.status(500).json({ error: 'Finalize failed' });
+              }
           });
 
-          app.delete('/enrollments/:email/:courseId', verifyJWT, checkDbConnection, async (req, res) => {
-                 const { email, courseId } = req.params;
-                 if (req.decoded.email !== email) return res.status(403).json({ error: 'Unauthorized' });
-                 if (!ObjectId.isValid(courseId)) return res.status(400).json({ error: 'Invalid ID' });
-                 const courseObjectId = new ObjectId(courseId);
-             try {
-                 const deleteResult = await enrollmentsCollection.deleteOne({ userEmail: email, courseId: courseId });
-                 if (deleteResult.deletedCount === 0) return res.status(404).json({ error: 'Not enrolled' });
-                 await coursesCollection.updateOne(
-                     { _id: courseObjectId },
-                     { $inc: { seats: 1, enrollmentCount: -1 } }
-                 );
-                 res.json({ message: 'Unenrolled' });
+          // Reports seat/enrollment counter drift; pass { fix: true } to repair it
+          app.post('/admin/reconcile-seats', verifyJWT, checkDbConnection, getUserRole, requirePermission('system:maintain'), validate('POST /admin/reconcile-seats'), async (req, res) => {
+              try {
+                  const report = await reconcileSeats(db, { fix: req.body?.fix === true });
+                  res.json(report);
               } catch (err) {
-                  console.error('❌ Error during unenrollment:', err);
-                  res.status(500).json({ error: 'Unenroll failed' });
+                  console.error("❌ Error reconciling seats:", err);
+                  res.status(500).json({ error: 'Reconciliation failed' });
               }
           });
 
-        // --- Admin Routes ---
-        app.get('/admin/users', verifyJWT, checkDbConnection, getUserRole, verifyAdmin, async (req, res) => {
-             try {
-                 const users = await usersCollection.find({}, { projection: { password: 0 } }).toArray();
-                 res.json(users);
-             } catch (err) {
-                 console.error("❌ Error fetching users for admin:", err);
-                 res.status(500).json({ error: 'Fetch failed' });
-             }
-         });
+          // --- Bulk Import & Export ---
+          // POST Course rows as a JSON array, or CSV with Content-Type: text/csv. ?dryRun=true reports without writing.
+          app.post('/admin/import/courses', verifyJWT, checkDbConnection, getUserRole, requirePermission('course:import'), ...importBodyParsers, validate('POST /admin/import/courses'), async (req, res) => {
+              const { dryRun = false, status = 'approved' } = req.query;
+              let rows = req.body;
+              if (typeof rows === 'string') {
+                  try {
+                      rows = parseCsv(rows);
+                  } catch (err) {
+                      return res.status(400).json({ error: `Invalid CSV: ${err.message}` });
+                  }
+              }
+              if (rows.length === 0) return res.status(400).json({ error: 'No rows to import' });
+              if (rows.length > MAX_IMPORT_ROWS) return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} rows per import` });
+              try {
+                  const report = await importCourses(db, rows, { dryRun, status, actor: auditActorFromRequest(req) });
+                  // Added seats go to the waitlist first, as with PUT /course/:id
+                  if (!dryRun) {
+                      for (const row of report.rows) {
+                          if (row.changedFields?.includes('seats')) await offerSeatsToWaitlist(row.courseId);
+                      }
+                  }
+                  res.json(report);
+              } catch (err) {
+                  console.error("❌ Error importing courses:", err);
+                  res.status(500).json({ error: 'Import failed' });
+              }
+          });
 
-         app.patch('/admin/users/:email/role', verifyJWT, checkDbConnection, getUserRole, verifyAdmin, async (req, res) => {
-              const { email } = req.params;
-              const { role } = req.body;
-              if (!['student', 'instructor', 'admin'].includes(role)) return res.status(400).json({ error: 'Invalid role' });
-             try {
-                  const result = await usersCollection.updateOne({ email }, { $set: { role: role } });
-                  if (result.matchedCount === 0) return res.status(404).json({ error: 'User not found' });
-                  res.json({ message: `Role updated to ${role}` });
+          // GET Every course, enrollment or review (?format=csv, ?courseId= for one course)
+          app.get('/admin/export/:type', verifyJWT, checkDbConnection, getUserRole, requirePermission('data:export'), validate('GET /admin/export/:type'), async (req, res) => {
+              const { type } = req.params;
+              const { format = 'json', courseId } = req.query;
+              try {
+                  res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+                  res.set('Content-Disposition', `attachment; filename="${type}.${format}"`);
+                  await writeExport(db, type, res, { format, courseId });
+                  res.end();
               } catch (err) {
-                  console.error("❌ Error updating user role:", err);
-                  res.status(500).json({ error: 'Update failed' });
+                  console.error(`❌ Error exporting ${type}:`, err);
+                  // Headers are gone once rows have been streamed
+                  if (!res.headersSent) return res.status(500).json({ error: 'Export failed' });
+                  res.destroy(err);
               }
           });
 
-          app.get('/admin/courses', verifyJWT, checkDbConnection, getUserRole, verifyAdmin, async (req, res) => {
+          // --- Payouts ---
+          // GET Unpaid balance per instructor (?format=csv for a spreadsheet)
+          app.get('/admin/payouts', verifyJWT, checkDbConnection, getUserRole, requirePermission('payout:manage'), validate('GET /admin/payouts'), async (req, res) => {
               try {
-                  const courses = await coursesCollection.find({}).sort({ createdAt: -1 }).toArray();
-                  res.json(courses);
+                  const balances = await getPayoutBalances(req.query.currency ? { currency: req.query.currency } : {});
+                  if (req.query.format === 'csv') {
+                      res.set('Content-Type', 'text/csv; charset=utf-8');
+                      res.set('Content-Disposition', 'attachment; filename="payout-balances.csv"');
+                      res.write(csvRow(PAYOUT_BALANCE_CSV_COLUMNS));
+                      balances.forEach(balance => res.write(csvRow([
+                          balance.instructorEmail, balance.currency, balance.salesCount, formatCents(balance.salesCents),
+                          formatCents(balance.refundsCents), formatCents(balance.commissionCents), formatCents(balance.balanceCents),
+                          balance.entryCount, balance.since, balance.lastPaidAt
+                      ])));
+                      return res.end();
+                  }
+                  res.json({ defaultCommissionPercent: PLATFORM_COMMISSION_PERCENT, balances });
               } catch (err) {
-                  console.error("❌ Error fetching all courses for admin:", err);
-                  res.status(500).json({ error: 'Fetch failed' });
+                  console.error("❌ Error building payout report:", err);
+                  res.status(500).json({ error: 'Failed to build payout report' });
               }
           });
 
-          app.patch('/admin/courses/:id/status', verifyJWT, checkDbConnection, getUserRole, verifyAdmin, async (req, res) => {
-               const { id } = req.params;
-               const { status } = req.body;
-               if (!['approved', 'rejected', 'pending'].includes(status)) return res.status(400).json({ error: 'Invalid status' });
-               if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
-             try {
-                   const result = await coursesCollection.updateOne({ _id: new ObjectId(id) }, { $set: { status: status } });
-                   if (result.matchedCount === 0) return res.status(404).json({ error: 'Course not found' });
-                   res.json({ message: `Status updated to ${status}` });
-               } catch (err) {
-                   console.error("❌ Error updating course status:", err);
-                   res.status(500).json({ error: 'Update failed' });
-               }
-           });
+          // POST Record that an instructor's balance in one currency was paid out; settles every unpaid entry up to now
+          app.post('/admin/payouts', verifyJWT, checkDbConnection, getUserRole, requirePermission('payout:manage'), validate('POST /admin/payouts'), async (req, res) => {
+              const { instructorEmail, currency, reference, note } = req.body;
+              try {
+                  const now = new Date();
+                  const payout = await withTransaction(async (session) => {
+                      const unpaid = { instructorEmail, currency, payoutId: null, createdAt: { $lte: now } };
+                      const [balance] = await ledgerCollection.aggregate([
+                          { $match: unpaid },
+                          { $group: { _id: null, amountCents: { $sum: '$netCents' }, entryCount: { $sum: 1 } } }
+                      ], { session }).toArray();
+                      // A negative balance (refunds after the last payout) carries over to the next one
+                      if (!balance || balance.amountCents <= 0) throw enrollmentError(400, 'No positive balance to pay out');
+                      const newPayout = {
+                          _id: new ObjectId(), instructorEmail, currency, amountCents: balance.amountCents, entryCount: balance.entryCount,
+                          reference: reference || null, note: note || null, paidBy: req.decoded.email, paidAt: now
+                      };
+                      await ledgerCollection.updateMany(unpaid, { $set: { payoutId: newPayout._id } }, { session });
+                      await payoutsCollection.insertOne(newPayout, { session });
+                      return newPayout;
+                  });
+                  await recordAudit(auditActorFromRequest(req), {
+                      action: 'payout.create', targetType: 'payout', targetId: payout._id, before: null, after: payout
+                  });
+                  await notify('payout.paid', { to: instructorEmail, amountCents: payout.amountCents, currency, reference: payout.reference });
+                  res.status(201).json({ message: 'Payout recorded', payout });
+              } catch (err) {
+                  if (err.status) return res.status(err.status).json({ error: err.message });
+                  console.error("❌ Error recording payout:", err);
+                  res.status(500).json({ error: 'Failed to record payout' });
+              }
+          });
+
+          app.get('/admin/payouts/history', verifyJWT, checkDbConnection, getUserRole, requirePermission('payout:manage'), validate('GET /admin/payouts/history'), async (req, res) => {
+              const query = req.query.instructorEmail ? { instructorEmail: req.query.instructorEmail } : {};
+              try {
+                  if (req.query.format === 'csv') {
+                      res.set('Content-Type', 'text/csv; charset=utf-8');
+                      res.set('Content-Disposition', 'attachment; filename="payouts.csv"');
+                      res.write(csvRow(PAYOUT_HISTORY_CSV_COLUMNS));
+                      for await (const payout of payoutsCollection.find(query).sort({ paidAt: -1 })) {
+                          res.write(csvRow([
+                              payout.paidAt, payout.instructorEmail, payout.currency, formatCents(payout.amountCents),
+                              payout.entryCount, payout.reference, payout.note, payout.paidBy
+                          ]));
+                      }
+                      return res.end();
+                  }
+                  const page = req.query.page ?? 1;
+                  const limit = req.query.limit ?? 50;
+                  const [payouts, total] = await Promise.all([
+                      payoutsCollection.find(query).sort({ paidAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+                      payoutsCollection.countDocuments(query)
+                  ]);
+                  res.json({ payouts, total, page, limit, totalPages: Math.ceil(total / limit) });
+              } catch (err) {
+                  console.error("❌ Error fetching payouts:", err);
+                  res.status(500).json({ error: 'Failed to fetch payouts' });
+              }
+          });
+
+          // PUT { percent } sets an instructor's commission for future sales; null goes back to the platform default
+          app.put('/admin/instructors/:email/commission', verifyJWT, checkDbConnection, getUserRole, requirePermission('payout:manage'), validate('PUT /admin/instructors/:email/commission'), async (req, res) => {
+              const { email } = req.params;
+              const { percent } = req.body;
+              try {
+                  const update = percent === null ? { $unset: { commissionPercent: '' } } : { $set: { commissionPercent: percent } };
+                  const previous = await usersCollection.findOneAndUpdate({ email }, update, { projection: { commissionPercent: 1 } });
+                  if (!previous) return res.status(404).json({ error: 'User not found' });
+                  await recordAudit(auditActorFromRequest(req), {
+                      action: 'instructor.commission_change', targetType: 'user', targetId: email,
+                      before: { commissionPercent: previous.commissionPercent ?? null }, after: { commissionPercent: percent }
+                  });
+                  res.json({ message: 'Commission updated', commissionPercent: percent ?? PLATFORM_COMMISSION_PERCENT });
+              } catch (err) {
+                  console.error("❌ Error updating commission:", err);
+                  res.status(500).json({ error: 'Update failed' });
+              }
+          });
 
         // --- Payment Route ---
-        app.post('/create-payment-intent', verifyJWT, checkDbConnection, async (req, res) => {
-             const { courseId } = req.body;
+        // With a couponCode the discounted amount is charged; a 100%-off coupon enrolls directly without Stripe
+        app.post('/create-payment-intent', paymentIpRateLimit, verifyJWT, paymentUserRateLimit, checkDbConnection, validate('POST /create-payment-intent'), async (req, res) => {
+             const { courseId, cohortId, couponCode } = req.body;
              const userEmail = req.decoded.email;
              if (!ObjectId.isValid(courseId)) return res.status(400).json({ error: 'Invalid ID' });
              const courseObjectId = new ObjectId(courseId);
@@ -555,27 +4149,207 @@ async function run() {
                  // (FIX) Check status OR existence
                  const hasStatus = course.status !== undefined;
                  if (hasStatus && course.status !== 'approved') return res.status(400).json({ error: 'Course not approved' });
+                 if (course.deletedAt) return res.status(400).json({ error: 'Course archived' });
                  
-                 if (course.seats <= 0) return res.status(400).json({ error: 'No seats' });
-                 const price = course.price;
+                 const { cohort, status, error } = await resolveEnrollmentCohort(course, cohortId);
+                 if (error) return res.status(status).json({ error });
+                 if (!cohort && course.seats <= 0) {
+                     await releaseExpiredHolds(courseId);
+                     if (!(await hasActiveHold(courseId, userEmail))) return res.status(400).json({ error: 'No seats' });
+                 }
+                 const price = cohortPrice(cohort, course);
                  if (price == null || price <= 0) return res.status(400).send({ error: "Invalid price" });
                  const existingEnrollment = await enrollmentsCollection.findOne({ userEmail, courseId });
                  if (existingEnrollment) return res.status(400).send({ error: "Already enrolled" });
-                 const amountInSmallestUnit = Math.round(price * 100);
+                 let amountInSmallestUnit = Math.round(price * 100);
+                 const metadata = { courseId: courseId, userEmail: userEmail, instructorEmail: course.instructorEmail };
+                 if (cohort) metadata.cohortId = cohortId;
+                 if (couponCode) {
+                     const applied = await applyCoupon(couponCode, { ...course, price }, userEmail);
+                     if (applied.error) return res.status(400).send({ error: applied.error });
+                     if (applied.finalCents === 0) {
+                         const redemptionId = await redeemCoupon({
+                             coupon: applied.coupon, userEmail, courseId, discountCents: applied.discountCents
+                         });
+                         if (!redemptionId) return res.status(400).send({ error: 'Coupon redemption limit reached' });
+                         try {
+                             const { enrolledId } = await createEnrollment({
+                                 userEmail, courseId, courseTitle: course.courseTitle, cohort
+                             });
+                             return res.status(201).send({ enrolled: true, enrolledId, amount: 0 });
+                         } catch (enrollErr) {
+                             await releaseCouponRedemption(applied.coupon._id, redemptionId);
+                             if (enrollErr.status) return res.status(enrollErr.status).send({ error: enrollErr.message });
+                             throw enrollErr;
+                         }
+                     }
+                     if (applied.finalCents < STRIPE_MIN_CHARGE_CENTS) {
+                         return res.status(400).send({ error: 'Discounted total is below the minimum charge' });
+                     }
+                     amountInSmallestUnit = applied.finalCents;
+                     Object.assign(metadata, {
+                         couponId: applied.coupon._id.toString(), couponCode: applied.coupon.code,
+                         originalAmount: String(applied.originalCents)
+                     });
+                 }
                  const paymentIntent = await stripe.paymentIntents.create({
                      amount: amountInSmallestUnit, currency: "usd",
                      automatic_payment_methods: { enabled: true },
-                     metadata: { courseId: courseId, userEmail: userEmail }
+                     metadata
                  });
-                 res.send({ clientSecret: paymentIntent.client_secret });
+                 res.send({ clientSecret: paymentIntent.client_secret, amount: amountInSmallestUnit });
               } catch (err) {
                   console.error("❌ Payment Intent Error:", err);
                   res.status(500).send({ error: "Payment setup failed" });
               }
          });
 
+        // --- Coupon Routes ---
+        app.post('/coupons', verifyJWT, checkDbConnection, getUserRole, requirePermission('coupon:manage:own'), validate('POST /coupons'), async (req, res) => {
+             const { data, error } = parseCouponInput(req.body);
+             if (error) return res.status(400).json({ error });
+             const requestingUserEmail = req.decoded.email;
+             try {
+                 const siteWide = can(req, 'coupon:manage:any');
+                 if (!siteWide && data.courseIds?.length > 0) {
+                     const ownCount = await coursesCollection.countDocuments({
+                         _id: { $in: data.courseIds.map(id => new ObjectId(id)) }, instructorEmail: requestingUserEmail
+                     });
+                     if (ownCount !== data.courseIds.length) return res.status(403).json({ error: 'Forbidden: Not your course' });
+                 }
+                 const newCoupon = {
+                     expiresAt: null, maxRedemptions: null, perUserLimit: null, courseIds: [], active: true,
+                     ...data,
+                     scope: siteWide ? 'site' : 'instructor',
+                     instructorEmail: siteWide ? null : requestingUserEmail,
+                     createdBy: requestingUserEmail, redemptionCount: 0,
+                     createdAt: new Date(), updatedAt: new Date()
+                 };
+                 const result = await couponsCollection.insertOne(newCoupon);
+                 res.status(201).json({ message: 'Coupon created', insertedId: result.insertedId });
+             } catch (err) {
+                 if (err.code === 11000) return res.status(400).json({ error: 'Coupon code already exists' });
+                 console.error("❌ Error creating coupon:", err);
+                 res.status(500).json({ error: 'Failed to create coupon' });
+             }
+        });
+
+        app.get('/coupons', verifyJWT, checkDbConnection, getUserRole, requirePermission('coupon:manage:own'), validate('GET /coupons'), async (req, res) => {
+             try {
+                 const query = can(req, 'coupon:manage:any') ? {} : { instructorEmail: req.decoded.email };
+                 const coupons = await couponsCollection.find(query).sort({ createdAt: -1 }).toArray();
+                 res.json(coupons);
+             } catch (err) {
+                 console.error("❌ Error fetching coupons:", err);
+                 res.status(500).json({ error: 'Failed to fetch coupons' });
+             }
+        });
+
+        // PATCH Coupon (code and scope are fixed once created)
+        app.patch('/coupons/:id', verifyJWT, checkDbConnection, getUserRole, requirePermission('coupon:manage:own'), validate('PATCH /coupons/:id'), async (req, res) => {
+             const { id } = req.params;
+             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+             const { code, ...changes } = req.body || {};
+             try {
+                 const coupon = await couponsCollection.findOne({ _id: new ObjectId(id) });
+                 if (!coupon) return res.status(404).json({ error: 'Coupon not found' });
+                 if (!can(req, 'coupon:manage:any') && coupon.instructorEmail !== req.decoded.email) {
+                     return res.status(403).json({ error: 'Forbidden: Not your coupon' });
+                 }
+                 const { data, error } = parseCouponInput(changes, { partial: true, currentType: coupon.type });
+                 if (error) return res.status(400).json({ error });
+                 if (coupon.scope === 'instructor' && data.courseIds?.length > 0) {
+                     const ownCount = await coursesCollection.countDocuments({
+                         _id: { $in: data.courseIds.map(courseId => new ObjectId(courseId)) }, instructorEmail: coupon.instructorEmail
+                     });
+                     if (ownCount !== data.courseIds.length) return res.status(403).json({ error: 'Forbidden: Not your course' });
+                 }
+                 await couponsCollection.updateOne({ _id: coupon._id }, { $set: { ...data, updatedAt: new Date() } });
+                 res.json({ message: 'Coupon updated' });
+             } catch (err) {
+                 console.error("❌ Error updating coupon:", err);
+                 res.status(500).json({ error: 'Failed to update coupon' });
+             }
+        });
+
+        app.get('/coupons/:id/redemptions', verifyJWT, checkDbConnection, getUserRole, requirePermission('coupon:manage:own'), validate('GET /coupons/:id/redemptions'), async (req, res) => {
+             const { id } = req.params;
+             if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
+             try {
+                 const coupon = await couponsCollection.findOne({ _id: new ObjectId(id) });
+                 if (!coupon) return res.status(404).json({ error: 'Coupon not found' });
+                 if (!can(req, 'coupon:manage:any') && coupon.instructorEmail !== req.decoded.email) {
+                     return res.status(403).json({ error: 'Forbidden: Not your coupon' });
+                 }
+                 const redemptions = await couponRedemptionsCollection
+                     .find({ couponId: coupon._id }).sort({ redeemedAt: -1 }).toArray();
+                 res.json(redemptions);
+             } catch (err) {
+                 console.error("❌ Error fetching redemptions:", err);
+                 res.status(500).json({ error: 'Failed to fetch redemptions' });
+             }
+        });
+
+        // Previews a coupon for the checkout page without redeeming it
+        app.post('/coupons/validate', verifyJWT, checkDbConnection, validate('POST /coupons/validate'), async (req, res) => {
+             const { code, courseId, cohortId } = req.body;
+             if (!code) return res.status(400).json({ error: 'Code required' });
+             if (!ObjectId.isValid(courseId)) return res.status(400).json({ error: 'Invalid Course ID' });
+             try {
+                 const course = await coursesCollection.findOne({ _id: new ObjectId(courseId) });
+                 if (!course) return res.status(404).json({ error: 'Course not found' });
+                 if (course.deletedAt) return res.status(400).json({ error: 'Course archived' });
+                 const cohort = cohortId ? await cohortsCollection.findOne({ _id: new ObjectId(cohortId), courseId }) : null;
+                 if (cohortId && !cohort) return res.status(404).json({ error: 'Cohort not found' });
+                 const applied = await applyCoupon(code, { ...course, price: cohortPrice(cohort, course) }, req.decoded.email);
+                 if (applied.error) return res.status(400).json({ valid: false, error: applied.error });
+                 res.json({
+                     valid: true, code: applied.coupon.code, type: applied.coupon.type, value: applied.coupon.value,
+                     originalAmount: applied.originalCents, discount: applied.discountCents, finalAmount: applied.finalCents
+                 });
+             } catch (err) {
+                 console.error("❌ Error validating coupon:", err);
+                 res.status(500).json({ error: 'Coupon validation failed' });
+             }
+        });
+
+        // --- Stripe Webhook (Signature-verified, no JWT) ---
+        app.post('/webhooks/stripe', checkDbConnection, validate('POST /webhooks/stripe'), async (req, res) => {
+             const signature = req.headers['stripe-signature'];
+             if (!process.env.STRIPE_WEBHOOK_SECRET) {
+                 console.error("❌ STRIPE_WEBHOOK_SECRET is not set.");
+                 return res.status(503).send({ error: true, message: 'Webhook not configured' });
+             }
+             if (!signature || !req.rawBody) return res.status(400).send({ error: true, message: 'Missing Stripe signature' });
+             let event;
+             try {
+                 event = stripe.webhooks.constructEvent(req.rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+             } catch (err) {
+                 console.error("❌ Stripe signature verification failed:", err.message);
+                 return res.status(400).send({ error: true, message: 'Invalid Stripe signature' });
+             }
+             // Record the event id first; a duplicate key means Stripe is redelivering it
+             try {
+                 await stripeEventsCollection.insertOne({ _id: event.id, type: event.type, receivedAt: new Date() });
+             } catch (err) {
+                 if (err.code === 11000) return res.send({ received: true, duplicate: true });
+                 console.error("❌ Error recording Stripe event:", err);
+                 return res.status(500).send({ error: true, message: 'Webhook handling failed' });
+             }
+             try {
+                 await handleStripeEvent(event);
+                 await stripeEventsCollection.updateOne({ _id: event.id }, { $set: { processedAt: new Date() } });
+                 res.send({ received: true });
+             } catch (err) {
+                 console.error(`❌ Error handling Stripe event ${event.id}:`, err);
+                 // Forget the event so Stripe's retry gets processed again
+                 await stripeEventsCollection.deleteOne({ _id: event.id }).catch(() => {});
+                 res.status(500).send({ error: true, message: 'Webhook handling failed' });
+             }
+        });
+
          // --- Review Routes ---
-         app.post('/courses/:id/reviews', verifyJWT, checkDbConnection, async (req, res) => {
+         app.post('/courses/:id/reviews', verifyJWT, reviewRateLimit, checkDbConnection, validate('POST /courses/:id/reviews'), async (req, res) => {
               const courseIdParam = req.params.id;
               const { rating, comment } = req.body;
               const userEmail = req.decoded.email;
@@ -593,9 +4367,11 @@ async function run() {
                       courseObjectId: courseObjectId, courseId: courseIdParam,
                       userEmail: userEmail, userName: userProfile?.name || userEmail,
                       userPhoto: userProfile?.photoURL || null,
-                      rating: rating, comment: comment.trim(), createdAt: new Date()
+                      rating: rating, comment: comment.trim(), createdAt: new Date(),
+                      status: 'visible', helpfulCount: 0, helpfulBy: [], reportCount: 0, instructorReply: null
                   };
                   const result = await reviewsCollection.insertOne(newReview);
+                  await refreshCourseRating(courseObjectId);
                   res.status(201).json({ message: "Review added", insertedId: result.insertedId });
               } catch (err) {
                   console.error("❌ Error adding review:", err);
@@ -603,23 +4379,199 @@ async function run() {
               }
           });
 
-          // GET Reviews (Public)
-          app.get('/courses/:id/reviews', checkDbConnection, async (req, res) => {
+          // GET Reviews (Public, paginated; ?page=&limit=&sort=newest|helpful|rating_high|rating_low)
+          app.get('/courses/:id/reviews', checkDbConnection, getRoleIfAuthenticated, validate('GET /courses/:id/reviews'), async (req, res) => {
               const courseIdParam = req.params.id;
               if (!ObjectId.isValid(courseIdParam)) return res.status(400).json({ error: 'Invalid ID' });
               const courseObjectId = new ObjectId(courseIdParam);
+              const page = parseNumberParam(req.query.page) ?? 1;
+              const limit = parseNumberParam(req.query.limit) ?? 10;
+              if (!Number.isInteger(page) || page < 1) return res.status(400).json({ error: 'Invalid page' });
+              if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) return res.status(400).json({ error: `Limit must be 1-${MAX_PAGE_SIZE}` });
+              const sort = REVIEW_SORTS[req.query.sort || 'newest'];
+              if (!sort) return res.status(400).json({ error: 'Invalid sort' });
              try {
-                  const reviews = await reviewsCollection.find({ courseObjectId: courseObjectId })
-                                      .sort({ createdAt: -1 }).toArray();
-                  res.json(reviews);
+                  const query = { courseObjectId: courseObjectId, ...VISIBLE_REVIEW_FILTER };
+                  const viewerEmail = req.decoded?.email || null;
+                  // Without `page` or `limit` every review comes back as a plain array, as before paging existed
+                  const paginated = req.query.page !== undefined || req.query.limit !== undefined;
+                  const reviews = await reviewsCollection.aggregate([
+                      { $match: query },
+                      { $sort: sort },
+                      ...(paginated ? [{ $skip: (page - 1) * limit }, { $limit: limit }] : []),
+                      { $addFields: { votedHelpful: { $in: [viewerEmail, { $ifNull: ['$helpfulBy', []] }] } } },
+                      { $project: { helpfulBy: 0, reportCount: 0 } }
+                  ]).toArray();
+                  if (!paginated) return res.json(reviews);
+                  const total = await reviewsCollection.countDocuments(query);
+                  res.json({
+                      reviews, total, page, limit, totalPages: Math.ceil(total / limit),
+                      histogram: await getRatingHistogram(courseObjectId)
+                  });
               } catch (err) {
                   console.error("❌ Error fetching reviews:", err);
                   res.status(500).json({ error: 'Failed to fetch reviews' });
               }
           });
 
+          // PUT Edit own review
+          app.put('/courses/:id/reviews/:reviewId', verifyJWT, checkDbConnection, validate('PUT /courses/:id/reviews/:reviewId'), async (req, res) => {
+              const { id, reviewId } = req.params;
+              const { rating, comment } = req.body;
+              if (!ObjectId.isValid(id) || !ObjectId.isValid(reviewId)) return res.status(400).json({ error: 'Invalid ID' });
+              const updateFields = {};
+              if (rating !== undefined) {
+                  if (typeof rating !== 'number' || rating < 1 || rating > 5) return res.status(400).json({ error: 'Invalid rating' });
+                  updateFields.rating = rating;
+              }
+              if (comment !== undefined) {
+                  if (typeof comment !== 'string' || comment.trim().length === 0) return res.status(400).json({ error: 'Comment required' });
+                  updateFields.comment = comment.trim();
+              }
+              try {
+                  const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId), courseId: id });
+                  if (!review) return res.status(404).json({ error: 'Review not found' });
+                  if (review.userEmail !== req.decoded.email) return res.status(403).json({ error: 'Forbidden: Not your review' });
+                  await reviewsCollection.updateOne({ _id: review._id }, { $set: { ...updateFields, updatedAt: new Date() } });
+                  await refreshCourseRating(review.courseObjectId);
+                  res.json({ message: 'Review updated' });
+              } catch (err) {
+                  console.error("❌ Error updating review:", err);
+                  res.status(500).json({ error: 'Failed to update review' });
+              }
+          });
+
+          // DELETE Review (author or admin)
+          app.delete('/courses/:id/reviews/:reviewId', verifyJWT, checkDbConnection, getUserRole, validate('DELETE /courses/:id/reviews/:reviewId'), async (req, res) => {
+              const { id, reviewId } = req.params;
+              if (!ObjectId.isValid(id) || !ObjectId.isValid(reviewId)) return res.status(400).json({ error: 'Invalid ID' });
+              try {
+                  const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId), courseId: id });
+                  if (!review) return res.status(404).json({ error: 'Review not found' });
+                  if (review.userEmail !== req.decoded.email && !can(req, 'review:moderate')) {
+                      return res.status(403).json({ error: 'Forbidden: Not your review' });
+                  }
+                  await reviewsCollection.deleteOne({ _id: review._id });
+                  await reviewReportsCollection.deleteMany({ reviewId: review._id });
+                  await refreshCourseRating(review.courseObjectId);
+                  res.json({ message: 'Review deleted' });
+              } catch (err) {
+                  console.error("❌ Error deleting review:", err);
+                  res.status(500).json({ error: 'Failed to delete review' });
+              }
+          });
+
+          // PUT Instructor reply (one per review; PUT again to edit it)
+          app.put('/courses/:id/reviews/:reviewId/reply', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('review:reply'), validate('PUT /courses/:id/reviews/:reviewId/reply'), async (req, res) => {
+              const { id, reviewId } = req.params;
+              const { body } = req.body;
+              if (!ObjectId.isValid(reviewId)) return res.status(400).json({ error: 'Invalid Review ID' });
+              if (!body || typeof body !== 'string' || body.trim().length === 0) return res.status(400).json({ error: 'Reply body required' });
+              try {
+                  const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId), courseId: id });
+                  if (!review) return res.status(404).json({ error: 'Review not found' });
+                  const now = new Date();
+                  const reply = {
+                      body: body.trim(), authorEmail: req.decoded.email,
+                      createdAt: review.instructorReply?.createdAt || now, updatedAt: now
+                  };
+                  await reviewsCollection.updateOne({ _id: review._id }, { $set: { instructorReply: reply } });
+                  res.json({ message: review.instructorReply ? 'Reply updated' : 'Reply added', reply });
+              } catch (err) {
+                  console.error("❌ Error saving review reply:", err);
+                  res.status(500).json({ error: 'Failed to save reply' });
+              }
+          });
+
+          app.delete('/courses/:id/reviews/:reviewId/reply', verifyJWT, checkDbConnection, getUserRole, requireCoursePermission('review:reply'), validate('DELETE /courses/:id/reviews/:reviewId/reply'), async (req, res) => {
+              const { id, reviewId } = req.params;
+              if (!ObjectId.isValid(reviewId)) return res.status(400).json({ error: 'Invalid Review ID' });
+              try {
+                  const result = await reviewsCollection.updateOne(
+                      { _id: new ObjectId(reviewId), courseId: id, instructorReply: { $ne: null } },
+                      { $set: { instructorReply: null } }
+                  );
+                  if (result.matchedCount === 0) return res.status(404).json({ error: 'Reply not found' });
+                  res.json({ message: 'Reply deleted' });
+              } catch (err) {
+                  console.error("❌ Error deleting review reply:", err);
+                  res.status(500).json({ error: 'Failed to delete reply' });
+              }
+          });
+
+          // POST/DELETE Helpful vote (one per user, not on your own review)
+          app.post('/courses/:id/reviews/:reviewId/helpful', verifyJWT, checkDbConnection, validate('POST /courses/:id/reviews/:reviewId/helpful'), async (req, res) => {
+              const { id, reviewId } = req.params;
+              const userEmail = req.decoded.email;
+              if (!ObjectId.isValid(id) || !ObjectId.isValid(reviewId)) return res.status(400).json({ error: 'Invalid ID' });
+              try {
+                  const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId), courseId: id, ...VISIBLE_REVIEW_FILTER });
+                  if (!review) return res.status(404).json({ error: 'Review not found' });
+                  if (review.userEmail === userEmail) return res.status(400).json({ error: 'Cannot vote on your own review' });
+                  const result = await reviewsCollection.updateOne(
+                      { _id: review._id, helpfulBy: { $ne: userEmail } },
+                      { $addToSet: { helpfulBy: userEmail }, $inc: { helpfulCount: 1 } }
+                  );
+                  if (result.modifiedCount === 0) return res.status(400).json({ error: 'Already voted' });
+                  res.json({ message: 'Marked helpful' });
+              } catch (err) {
+                  console.error("❌ Error voting on review:", err);
+                  res.status(500).json({ error: 'Vote failed' });
+              }
+          });
+
+          app.delete('/courses/:id/reviews/:reviewId/helpful', verifyJWT, checkDbConnection, validate('DELETE /courses/:id/reviews/:reviewId/helpful'), async (req, res) => {
+              const { id, reviewId } = req.params;
+              const userEmail = req.decoded.email;
+              if (!ObjectId.isValid(id) || !ObjectId.isValid(reviewId)) return res.status(400).json({ error: 'Invalid ID' });
+              try {
+                  const result = await reviewsCollection.updateOne(
+                      { _id: new ObjectId(reviewId), courseId: id, helpfulBy: userEmail },
+                      { $pull: { helpfulBy: userEmail }, $inc: { helpfulCount: -1 } }
+                  );
+                  if (result.modifiedCount === 0) return res.status(404).json({ error: 'No vote to remove' });
+                  res.json({ message: 'Vote removed' });
+              } catch (err) {
+                  console.error("❌ Error removing review vote:", err);
+                  res.status(500).json({ error: 'Vote removal failed' });
+              }
+          });
+
+          // POST Report a review; enough open reports hide it until an admin reviews it
+          app.post('/courses/:id/reviews/:reviewId/report', verifyJWT, reviewRateLimit, checkDbConnection, validate('POST /courses/:id/reviews/:reviewId/report'), async (req, res) => {
+              const { id, reviewId } = req.params;
+              const { reason } = req.body;
+              const reporterEmail = req.decoded.email;
+              if (!ObjectId.isValid(id) || !ObjectId.isValid(reviewId)) return res.status(400).json({ error: 'Invalid ID' });
+              if (!reason || typeof reason !== 'string' || reason.trim().length === 0) return res.status(400).json({ error: 'Reason required' });
+              try {
+                  const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId), courseId: id });
+                  if (!review) return res.status(404).json({ error: 'Review not found' });
+                  if (review.userEmail === reporterEmail) return res.status(400).json({ error: 'Cannot report your own review' });
+                  try {
+                      await reviewReportsCollection.insertOne({
+                          reviewId: review._id, courseId: id, reporterEmail, reason: reason.trim(),
+                          status: 'open', createdAt: new Date()
+                      });
+                  } catch (err) {
+                      if (err.code === 11000) return res.status(400).json({ error: 'Already reported' });
+                      throw err;
+                  }
+                  await reviewsCollection.updateOne({ _id: review._id }, { $inc: { reportCount: 1 } });
+                  const openReports = await reviewReportsCollection.countDocuments({ reviewId: review._id, status: 'open' });
+                  if (openReports >= REVIEW_REPORT_HIDE_THRESHOLD && review.status !== 'hidden') {
+                      await reviewsCollection.updateOne({ _id: review._id }, { $set: { status: 'hidden', hiddenReason: 'reports' } });
+                      await refreshCourseRating(review.courseObjectId);
+                  }
+                  res.status(201).json({ message: 'Review reported' });
+              } catch (err) {
+                  console.error("❌ Error reporting review:", err);
+                  res.status(500).json({ error: 'Report failed' });
+              }
+          });
+
         // --- Instructor Analytics ---
-        app.get('/instructor/courses/:id/analytics', verifyJWT, checkDbConnection, getUserRole, verifyInstructor, async (req, res) => {
+        app.get('/instructor/courses/:id/analytics', verifyJWT, checkDbConnection, getUserRole, requirePermission('course:analytics:own'), validate('GET /instructor/courses/:id/analytics'), async (req, res) => {
              const { id } = req.params;
              const requestingUserEmail = req.decoded.email;
              if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid ID' });
@@ -627,23 +4579,33 @@ async function run() {
              try {
                  const course = await coursesCollection.findOne({ _id: courseObjectId });
                  if (!course) return res.status(404).json({ error: 'Course not found' });
-                 if (req.userRole === 'instructor' && course.instructorEmail !== requestingUserEmail) {
+                 if (!canOnCourse(req, course, 'course:analytics')) {
                      return res.status(403).json({ error: 'Forbidden: Not your course' });
                  }
                  const totalEnrollments = await enrollmentsCollection.countDocuments({ courseId: id });
                  const enrolledStudents = await enrollmentsCollection
-                     .find({ courseId: id }).project({ userEmail: 1, enrolledAt: 1 })
+                     .find({ courseId: id }).project({ userEmail: 1, cohortId: 1, enrolledAt: 1 })
                      .sort({ enrolledAt: -1 }).toArray();
                  const ratingPipeline = [
-                     { $match: { courseObjectId: courseObjectId } },
+                     { $match: { courseObjectId: courseObjectId, ...VISIBLE_REVIEW_FILTER } },
                      { $group: { _id: null, avgRating: { $avg: "$rating" }, count: { $sum: 1 } } }
                  ];
                  const ratingResult = await reviewsCollection.aggregate(ratingPipeline).toArray();
+                 await releaseExpiredHolds(id);
+                 const waitlist = await waitlistCollection
+                     .find({ courseId: id, status: { $in: ['waiting', 'offered'] } })
+                     .project({ userEmail: 1, status: 1, joinedAt: 1, holdExpiresAt: 1 })
+                     .sort({ status: 1, position: 1 }).toArray(); // 'offered' sorts before 'waiting'
                  const analyticsData = {
                      courseTitle: course.courseTitle, totalEnrollments: totalEnrollments,
                      enrolledStudents: enrolledStudents,
                      averageRating: ratingResult[0]?.avgRating || 0,
                      reviewCount: ratingResult[0]?.count || 0,
+                     ratingHistogram: await getRatingHistogram(courseObjectId),
+                     heldSeats: course.heldSeats || 0,
+                     completionFunnel: await getCompletionFunnel(id, enrolledStudents.map(e => e.userEmail)),
+                     waitlist: waitlist.map((entry, index) => ({ ...entry, queuePosition: index + 1 })),
+                     cohorts: await getCohortBreakdown(id, enrolledStudents),
                  };
                  res.json(analyticsData);
              } catch(err) {
@@ -652,19 +4614,70 @@ async function run() {
              }
          });
 
+        // --- Instructor Earnings ---
+        // Sales, refunds and commission from the ledger, overall, per course and per month (UTC).
+        // ?from/?to limit the breakdowns by date; the unpaid balance always covers everything.
+        app.get('/instructor/earnings', verifyJWT, checkDbConnection, getUserRole, requirePermission('earnings:view:own'), validate('GET /instructor/earnings'), async (req, res) => {
+             const instructorEmail = req.query.instructorEmail || req.decoded.email;
+             if (instructorEmail !== req.decoded.email && !can(req, 'earnings:view:any')) return res.status(403).json({ error: 'Forbidden' });
+             const match = { instructorEmail };
+             if (req.query.from || req.query.to) {
+                 match.createdAt = {};
+                 if (req.query.from) match.createdAt.$gte = new Date(req.query.from);
+                 if (req.query.to) match.createdAt.$lte = new Date(req.query.to);
+             }
+             try {
+                 const [report] = await ledgerCollection.aggregate([
+                     { $match: match },
+                     { $sort: { createdAt: 1 } },
+                     { $facet: {
+                         totals: [
+                             { $group: { _id: '$currency', ...LEDGER_TOTALS } },
+                             { $project: { _id: 0, currency: '$_id', salesCount: 1, salesCents: 1, refundsCents: 1, commissionCents: 1, netCents: 1 } }
+                         ],
+                         byCourse: [
+                             { $group: { _id: { courseId: '$courseId', currency: '$currency' }, courseTitle: { $last: '$courseTitle' }, ...LEDGER_TOTALS } },
+                             { $project: { _id: 0, courseId: '$_id.courseId', currency: '$_id.currency', courseTitle: 1, salesCount: 1, salesCents: 1, refundsCents: 1, commissionCents: 1, netCents: 1 } },
+                             { $sort: { netCents: -1 } }
+                         ],
+                         byMonth: [
+                             { $group: { _id: { month: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, currency: '$currency' }, ...LEDGER_TOTALS } },
+                             { $project: { _id: 0, month: '$_id.month', currency: '$_id.currency', salesCount: 1, salesCents: 1, refundsCents: 1, commissionCents: 1, netCents: 1 } },
+                             { $sort: { month: -1 } }
+                         ]
+                     } }
+                 ]).toArray();
+                 const [balances, payouts, commissionPercent] = await Promise.all([
+                     getPayoutBalances({ instructorEmail }),
+                     payoutsCollection.find({ instructorEmail }).sort({ paidAt: -1 }).limit(12).toArray(),
+                     getCommissionPercent(instructorEmail)
+                 ]);
+                 res.json({ instructorEmail, commissionPercent, ...report, balances, payouts });
+             } catch (err) {
+                 console.error("❌ Error fetching instructor earnings:", err);
+                 res.status(500).json({ error: 'Failed to fetch earnings' });
+             }
+        });
+
         // --- Popular Courses (Public) ---
         // (FIXED) Apply the same logic as /courses to show 'approved' or no-status courses
-        app.get('/popular-courses', checkDbConnection, async (req, res) => {
+        // Optional ?category=<slug> limits it to that category and its subcategories
+        app.get('/popular-courses', checkDbConnection, validate('GET /popular-courses'), async (req, res) => {
               try {
+                   const match = {
+                       $or: [
+                           { status: 'approved' },
+                           { status: { $exists: false } }
+                       ],
+                       deletedAt: null
+                   };
+                   if (req.query.category) {
+                       match.categoryId = { $in: await getCategoryFamilyIds(req.query.category) || [] };
+                   }
                    const pipeline = [
                        // --- This is complex, let's simplify by matching on courses first ---
                        // 1. Find approved/no-status courses
-                       { $match: { 
-                           $or: [
-                               { status: 'approved' },
-                               { status: { $exists: false } }
-                           ]
-                       }},
+                       { $match: match },
                        // 2. Sort by enrollmentCount
                        { $sort: { enrollmentCount: -1 } },
                        // 3. Limit to top 6
@@ -686,8 +4699,29 @@ async function run() {
                }
           });
 
+        // --- API Docs ---
+        const openApiDocument = buildOpenApiDocument(ROUTE_SCHEMAS, { version });
+        app.get('/docs/openapi.json', validate('GET /docs/openapi.json'), (req, res) => {
+              res.json(openApiDocument);
+          });
+
+        // Redoc is pinned to one release and checked against its hash (from the npm tarball, which
+        // jsDelivr serves unchanged), so a changed or compromised bundle is refused by the browser
+        const REDOC_VERSION = '2.5.4';
+        const REDOC_INTEGRITY = 'sha384-w447zOpYfw/1Tv/5AK9NfHTlQIqE3RVR6KY62jCyy9zNDgO64cMwGGP1Fj0zJVf5';
+        app.get('/docs', validate('GET /docs'), (req, res) => {
+              res.type('html').send(`<!DOCTYPE html>
+<html>
+  <head><title>CourseHub API</title><meta charset="utf-8"/><meta name="viewport" content="width=device-width, initial-scale=1"></head>
+  <body>
+    <redoc spec-url="/docs/openapi.json"></redoc>
+    <script src="https://cdn.jsdelivr.net/npm/redoc@${REDOC_VERSION}/bundles/redoc.standalone.js" integrity="${REDOC_INTEGRITY}" crossorigin="anonymous"></script>
+  </body>
+</html>`);
+          });
+
         // --- Root Route ---
-        app.get('/', (req, res) => {
+        app.get('/', validate('GET /'), (req, res) => {
               res.send('✅ CourseHub Server is Running!');
           });
 
@@ -705,8 +4739,10 @@ async function run() {
     }
 }
 
-// Start the server initialization and listen
+// Start the server initialization and listen. Routes are registered synchronously by run(), so
+// requiring this file gives a ready app; under NODE_ENV=test nothing listens (see test/).
 run().then(() => {
+    if (process.env.NODE_ENV === 'test') return;
     if (isDbConnected) {
         app.listen(port, () => {
             console.log(`🚀 Server running at http://localhost:${port}`);
@@ -743,3 +4779,4 @@ const cleanup = async () => {
 process.on('SIGINT', cleanup);
 process.on('SIGTERM', cleanup);
 
+module.exports = app;
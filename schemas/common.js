@@ -0,0 +1,31 @@
+// schemas/common.js
+// Building blocks shared by the route schemas. Query and path values arrive as strings, and clients
+// have long sent numbers as strings in bodies too, so numeric/boolean types coerce from strings.
+
+const { z } = require('zod');
+
+const objectId = () => z.string().regex(/^[a-f\d]{24}$/i, 'Invalid ID');
+
+const email = () => z.email('Invalid email');
+
+// '5' → 5 before `schema` runs; anything else non-numeric is left for it to reject
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value);
+const numeric = (schema = z.number()) => z.preprocess(toNumber, schema);
+
+const toBoolean = (value) => (value === 'true' ? true : value === 'false' ? false : value);
+const flag = () => z.preprocess(toBoolean, z.boolean());
+
+const httpUrl = () => z.url({ protocol: /^https?$/, error: 'Must be an http(s) URL' });
+// Kept as the client's string; handlers turn it into a Date
+const dateTime = () => z.string().refine(value => !isNaN(Date.parse(value)), 'Invalid date').meta({ format: 'date-time' });
+const text = (max = 5000) => z.string().trim().min(1).max(max);
+const note = () => z.string().trim().max(2000);
+
+const pagination = (maxLimit = 50) => ({
+    page: numeric(z.number().int().min(1)).optional(),
+    limit: numeric(z.number().int().min(1).max(maxLimit)).optional()
+});
+
+const idParams = (...names) => z.object(Object.fromEntries(names.map(name => [name, objectId()])));
+
+module.exports = { z, objectId, email, numeric, flag, httpUrl, dateTime, text, note, pagination, idParams };
@@ -0,0 +1,381 @@
+// schemas/routes.js
+// Request schemas for every route, keyed by 'METHOD /path' exactly as registered in index.js.
+// `params`, `query` and `body` are checked by utils/validation.js before the handler runs; unknown
+// fields are stripped. `summary`/`tags` and `public` (no sign-in needed) feed the OpenAPI document.
+// Schemas check shape and types; rules that need the database or the caller stay in the handlers.
+
+const { z, objectId, email, numeric, flag, httpUrl, dateTime, text, note, pagination, idParams } = require('./common');
+const { ROLE_NAME_PATTERN } = require('../utils/policy');
+const { NOTIFICATION_TYPE_NAMES } = require('../utils/notifications');
+const { EXPORT_TYPE_NAMES } = require('../jobs/exportData');
+
+const courseId = idParams('id');
+const emailParams = z.object({ email: email() });
+const roleName = z.string().regex(ROLE_NAME_PATTERN, 'Invalid role name');
+const certificateParams = z.object({ id: z.string().max(64) });
+const reviewParams = idParams('id', 'reviewId');
+const lessonParams = idParams('id', 'lessonId');
+const sectionParams = idParams('id', 'sectionId');
+const cohortParams = idParams('id', 'cohortId');
+
+const money = numeric(z.number().min(0));
+const count = numeric(z.number().int().min(0));
+const nullableCategoryId = z.union([objectId(), z.literal(''), z.null()]);
+const tags = z.array(z.string().max(30)).max(10);
+const currency = z.string().trim().toLowerCase().length(3, 'Use a 3-letter currency code');
+
+const cohortFields = {
+    name: text(100),
+    startDate: dateTime(),
+    endDate: dateTime(),
+    enrollmentOpensAt: dateTime().nullable(),
+    enrollmentClosesAt: dateTime().nullable(),
+    capacity: numeric(z.number().int().min(1)),
+    // null uses the course price
+    price: money.nullable()
+};
+
+const courseFields = {
+    courseTitle: text(200),
+    image: httpUrl(),
+    seats: count,
+    duration: text(100),
+    description: text(10000),
+    price: money,
+    categoryId: nullableCategoryId,
+    tags
+};
+
+const catalogQuery = z.object({
+    search: z.string().max(200).optional(),
+    ...pagination(),
+    price: z.enum(['free', 'paid']).optional(),
+    minPrice: money.optional(),
+    maxPrice: money.optional(),
+    minWeeks: money.optional(),
+    maxWeeks: money.optional(),
+    minRating: numeric(z.number().min(0).max(5)).optional(),
+    available: z.enum(['true', 'false']).optional(),
+    instructorEmail: z.string().optional(),
+    category: z.string().max(100).optional(),
+    tag: z.string().max(300).optional(),
+    sort: z.enum(['relevance', 'newest', 'popular', 'rating', 'price_asc', 'price_desc']).optional()
+});
+
+const profileFields = {
+    bio: z.string().trim().min(20, 'Bio must be at least 20 characters').max(5000),
+    expertise: z.union([z.array(z.string().max(60)).min(1).max(10), z.string().max(600)]),
+    sampleLinks: z.array(httpUrl()).min(1).max(5),
+    headline: z.string().max(120)
+};
+
+const lessonFields = {
+    title: text(200),
+    videoUrl: z.union([httpUrl(), z.literal('')]),
+    body: z.string().max(100000),
+    attachments: z.array(z.object({ name: text(200), url: httpUrl() })).max(20),
+    estimatedMinutes: count,
+    order: count
+};
+
+const sectionBody = z.object({ title: text(200), order: count.optional() });
+
+const couponFields = {
+    type: z.enum(['percent', 'fixed']),
+    value: numeric(z.number().positive()),
+    expiresAt: dateTime().nullable(),
+    maxRedemptions: numeric(z.number().int().min(1)).nullable(),
+    perUserLimit: numeric(z.number().int().min(1)).nullable(),
+    courseIds: z.array(objectId()).max(100),
+    active: z.boolean()
+};
+
+const categoryBody = z.object({
+    name: text(100),
+    slug: z.string().max(100).optional(),
+    parentId: objectId().nullable().optional(),
+    description: z.string().max(1000).optional(),
+    order: count.optional()
+});
+
+const reviewBody = z.object({ rating: z.number().min(1).max(5), comment: text(5000) });
+const reasonBody = z.object({ reason: text(1000) });
+
+const ROUTE_SCHEMAS = {
+    // --- Auth & Sessions ---
+    'POST /jwt': { summary: 'Exchange a Firebase ID token for session cookies', tags: ['Auth'], public: true, body: z.object({ token: z.string().min(1) }) },
+    'POST /auth/refresh': { summary: 'Rotate the refresh token and issue a new access token', tags: ['Auth'], public: true },
+    'POST /logout': { summary: 'Revoke this session and clear cookies', tags: ['Auth'], public: true },
+    'GET /sessions': { summary: 'List your active sessions', tags: ['Auth'] },
+    'DELETE /sessions/:id': { summary: 'Revoke one of your sessions', tags: ['Auth'], params: idParams('id') },
+    'DELETE /sessions': { summary: 'Log out everywhere', tags: ['Auth'] },
+
+    // --- Users & Account Data ---
+    'GET /users/:email': { summary: 'Your profile', tags: ['Users'], params: emailParams },
+    'PUT /users/:email': {
+        summary: 'Create or update your profile', tags: ['Users'], params: emailParams,
+        body: z.object({ name: text(100), photoURL: httpUrl(), phone: z.string().max(30).optional(), address: z.string().max(300).optional() })
+    },
+    'GET /users/:email/export': { summary: 'Download everything stored about your account', tags: ['Users'], params: emailParams },
+    'POST /users/:email/deletion': { summary: 'Schedule your account for deletion', tags: ['Users'], params: emailParams },
+    'DELETE /users/:email/deletion': { summary: 'Cancel a scheduled account deletion', tags: ['Users'], params: emailParams },
+
+    // --- Notifications ---
+    'GET /notifications': {
+        summary: 'Your notification inbox', tags: ['Notifications'],
+        query: z.object({ ...pagination(), unread: flag().optional() })
+    },
+    'GET /notifications/unread-count': { summary: 'Number of unread notifications', tags: ['Notifications'] },
+    'PATCH /notifications/:id/read': { summary: 'Mark a notification as read', tags: ['Notifications'], params: idParams('id') },
+    'POST /notifications/read-all': { summary: 'Mark every notification as read', tags: ['Notifications'] },
+    'GET /notifications/preferences': { summary: 'Which notifications you get by email', tags: ['Notifications'] },
+    'PUT /notifications/preferences': {
+        summary: 'Turn email on or off per notification type', tags: ['Notifications'],
+        body: z.object({ email: z.partialRecord(z.enum(NOTIFICATION_TYPE_NAMES), z.boolean()) })
+    },
+
+    // --- Instructors ---
+    'POST /instructor-applications': {
+        summary: 'Apply to become an instructor', tags: ['Instructors'],
+        body: z.object({ ...profileFields, headline: profileFields.headline.optional() })
+    },
+    'GET /instructor-applications/me': { summary: 'Your latest instructor application', tags: ['Instructors'] },
+    'GET /instructors/:email': { summary: 'Public instructor profile with stats', tags: ['Instructors'], public: true, params: emailParams },
+    'PUT /instructor-profile': { summary: 'Edit your instructor profile', tags: ['Instructors'], body: z.object(profileFields).partial() },
+
+    // --- Courses & Catalog ---
+    'GET /courses': { summary: 'Search and filter the course catalog', tags: ['Courses'], public: true, query: catalogQuery },
+    'GET /categories': { summary: 'Category tree', tags: ['Categories'], public: true },
+    'GET /categories/:slug': {
+        summary: 'A category with its breadcrumb and courses', tags: ['Categories'], public: true,
+        params: z.object({ slug: z.string().max(100) }), query: catalogQuery.omit({ category: true })
+    },
+    'GET /courses/:id': { summary: 'Course details', tags: ['Courses'], public: true, params: courseId },
+    'POST /courses': {
+        summary: 'Create a course (starts pending approval)', tags: ['Courses'],
+        body: z.object({
+            ...courseFields,
+            categoryId: courseFields.categoryId.optional(),
+            tags: courseFields.tags.optional(),
+            instructorEmail: email().optional(),
+            timestamp: dateTime().optional()
+        })
+    },
+    'PUT /course/:id': { summary: 'Edit a course; material edits to approved courses wait for review', tags: ['Courses'], params: courseId, body: z.object(courseFields).partial() },
+    'POST /courses/:id/resubmit': { summary: 'Resubmit a rejected course', tags: ['Course Approval'], params: courseId, body: z.object({ note: note().optional() }) },
+    'GET /courses/:id/status-history': { summary: 'Approval history of a course', tags: ['Course Approval'], params: courseId },
+    'GET /courses/:id/collaborators': { summary: 'List course collaborators', tags: ['Courses'], params: courseId },
+    'POST /courses/:id/collaborators': { summary: 'Add a collaborator', tags: ['Courses'], params: courseId, body: z.object({ email: email() }) },
+    'DELETE /courses/:id/collaborators/:email': {
+        summary: 'Remove a collaborator', tags: ['Courses'], params: z.object({ id: objectId(), email: email() })
+    },
+    'DELETE /courses/:id': { summary: 'Archive a course', tags: ['Courses'], params: courseId },
+    'GET /courses/:id/cohorts': {
+        summary: 'Cohorts that haven\'t ended, soonest first', tags: ['Cohorts'], public: true, params: courseId,
+        query: z.object({ includePast: flag().optional() })
+    },
+    'POST /courses/:id/cohorts': {
+        summary: 'Schedule a cohort', tags: ['Cohorts'], params: courseId,
+        body: z.object(cohortFields).partial({ enrollmentOpensAt: true, enrollmentClosesAt: true, price: true })
+    },
+    'PATCH /courses/:id/cohorts/:cohortId': { summary: 'Change a cohort\'s dates, capacity or price', tags: ['Cohorts'], params: cohortParams, body: z.object(cohortFields).partial() },
+    'DELETE /courses/:id/cohorts/:cohortId': { summary: 'Delete a cohort nobody is enrolled in', tags: ['Cohorts'], params: cohortParams },
+
+    // --- Curriculum ---
+    'GET /courses/:id/curriculum': { summary: 'Sections and lesson outline', tags: ['Curriculum'], public: true, params: courseId },
+    'GET /courses/:id/lessons/:lessonId': { summary: 'Lesson content', tags: ['Curriculum'], params: lessonParams },
+    'POST /courses/:id/sections': { summary: 'Add a section', tags: ['Curriculum'], params: courseId, body: sectionBody },
+    'PUT /courses/:id/sections/:sectionId': { summary: 'Edit a section', tags: ['Curriculum'], params: sectionParams, body: sectionBody.partial() },
+    'DELETE /courses/:id/sections/:sectionId': { summary: 'Delete a section and its lessons', tags: ['Curriculum'], params: sectionParams },
+    'POST /courses/:id/sections/:sectionId/lessons': {
+        summary: 'Add a lesson to a section', tags: ['Curriculum'], params: sectionParams,
+        body: z.object(lessonFields).partial().required({ title: true })
+    },
+    'PUT /courses/:id/lessons/:lessonId': {
+        summary: 'Edit or move a lesson', tags: ['Curriculum'], params: lessonParams,
+        body: z.object({ ...lessonFields, sectionId: objectId() }).partial()
+    },
+    'DELETE /courses/:id/lessons/:lessonId': { summary: 'Delete a lesson', tags: ['Curriculum'], params: lessonParams },
+
+    // --- Enrollments & Refunds ---
+    'POST /enrollments': {
+        summary: 'Enroll in a free course', tags: ['Enrollments'],
+        // `courseTitle` is still accepted from older clients but ignored; the stored title is used
+        body: z.object({ userEmail: email(), courseId: objectId(), courseTitle: z.string().max(200).optional(), cohortId: objectId().optional() })
+    },
+    'GET /enrolled-status': { summary: 'Whether you are enrolled in a course', tags: ['Enrollments'], query: z.object({ email: email(), courseId: objectId() }) },
+    'GET /my-enrolled-courses/:email': { summary: 'Your enrolled courses', tags: ['Enrollments'], params: emailParams },
+    'DELETE /enrollments/:email/:courseId': {
+        summary: 'Unenroll from a free course', tags: ['Enrollments'], params: z.object({ email: email(), courseId: objectId() })
+    },
+    'POST /refund-requests': { summary: 'Request a refund', tags: ['Refunds'], body: z.object({ courseId: objectId(), reason: text(1000) }) },
+    'GET /refund-requests': {
+        summary: 'Refund requests you made, or for your courses', tags: ['Refunds'],
+        query: z.object({ status: z.enum(['pending', 'approved', 'denied', 'failed', 'refunded']).optional() })
+    },
+    'PATCH /refund-requests/:id': {
+        summary: 'Approve or deny a refund request', tags: ['Refunds'], params: idParams('id'),
+        body: z.object({ decision: z.enum(['approve', 'deny']), note: note().optional() })
+    },
+
+    // --- Progress & Certificates ---
+    'GET /courses/:id/progress': { summary: 'Your progress in a course', tags: ['Progress'], params: courseId },
+    'POST /courses/:id/lessons/:lessonId/complete': { summary: 'Mark a lesson complete', tags: ['Progress'], params: lessonParams },
+    'DELETE /courses/:id/lessons/:lessonId/complete': { summary: 'Mark a lesson incomplete', tags: ['Progress'], params: lessonParams },
+    'PUT /courses/:id/progress/resume': {
+        summary: 'Save where you left off', tags: ['Progress'], params: courseId,
+        body: z.object({ lessonId: objectId(), positionSeconds: count.optional() })
+    },
+    'POST /courses/:id/certificate': { summary: 'Claim your completion certificate', tags: ['Certificates'], params: courseId },
+    'GET /my-certificates': { summary: 'Your certificates', tags: ['Certificates'] },
+    'GET /certificates/:id/download': { summary: 'Download a certificate as SVG', tags: ['Certificates'], params: certificateParams },
+    'GET /certificates/:id/verify': {
+        summary: 'Verify a certificate', tags: ['Certificates'], public: true,
+        params: certificateParams, query: z.object({ token: z.string().min(1) })
+    },
+
+    // --- Waitlist ---
+    'POST /courses/:id/waitlist': { summary: 'Join the waitlist for a full course', tags: ['Waitlist'], params: courseId },
+    'GET /courses/:id/waitlist/me': { summary: 'Your waitlist position', tags: ['Waitlist'], params: courseId },
+    'DELETE /courses/:id/waitlist': { summary: 'Leave the waitlist', tags: ['Waitlist'], params: courseId },
+
+    // --- Admin ---
+    'GET /admin/users': { summary: 'All users', tags: ['Admin'] },
+    'PATCH /admin/users/:email/role': { summary: 'Change a user\'s role', tags: ['Admin'], params: emailParams, body: z.object({ role: roleName }) },
+    'GET /admin/courses': {
+        summary: 'All courses, including unpublished and archived', tags: ['Admin'],
+        query: z.object({
+            status: z.enum(['pending', 'approved', 'rejected']).optional(),
+            revision: z.literal('pending').optional(),
+            archived: z.enum(['true', 'false']).optional()
+        })
+    },
+    'POST /admin/import/courses': {
+        summary: 'Create or update courses from JSON rows or CSV (text/csv), matched on their external id', tags: ['Admin'],
+        query: z.object({ dryRun: flag().optional(), status: z.enum(['pending', 'approved']).optional() }),
+        // Rows are validated one by one so a bad row is reported instead of failing the import
+        body: z.union([z.array(z.record(z.string(), z.unknown())), z.string().min(1, 'CSV body is empty')])
+    },
+    'GET /admin/export/:type': {
+        summary: 'Export courses, enrollments or reviews (JSON or CSV)', tags: ['Admin'],
+        params: z.object({ type: z.enum(EXPORT_TYPE_NAMES) }),
+        query: z.object({ format: z.enum(['json', 'csv']).optional(), courseId: objectId().optional() })
+    },
+    'GET /admin/stats': {
+        summary: 'Dashboard totals, daily series and rankings', tags: ['Admin'],
+        query: z.object({ from: dateTime().optional(), to: dateTime().optional(), top: numeric(z.number().int().min(1).max(50)).optional() })
+    },
+    'PATCH /admin/courses/:id/status': {
+        summary: 'Approve or reject a course', tags: ['Course Approval'], params: courseId,
+        body: z.object({ status: z.enum(['approved', 'rejected', 'pending']), note: note().optional() })
+    },
+    'GET /admin/roles': { summary: 'Built-in and custom roles', tags: ['Admin'] },
+    'PUT /admin/roles/:name': {
+        summary: 'Create or update a custom role', tags: ['Admin'], params: z.object({ name: roleName }),
+        body: z.object({ permissions: z.array(z.string()).max(100), description: z.string().max(300).optional() })
+    },
+    'DELETE /admin/roles/:name': { summary: 'Delete an unused custom role', tags: ['Admin'], params: z.object({ name: roleName }) },
+    'GET /admin/instructor-applications': {
+        summary: 'Instructor applications', tags: ['Instructors'],
+        query: z.object({ status: z.enum(['pending', 'approved', 'rejected', 'all']).optional() })
+    },
+    'PATCH /admin/instructor-applications/:id': {
+        summary: 'Approve or reject an instructor application', tags: ['Instructors'], params: idParams('id'),
+        body: z.object({ decision: z.enum(['approve', 'reject']), note: note().optional() })
+    },
+    'POST /admin/courses/:id/restore': { summary: 'Restore an archived course', tags: ['Courses'], params: courseId },
+    'PATCH /admin/courses/:id/revision': {
+        summary: 'Approve or reject a pending revision', tags: ['Course Approval'], params: courseId,
+        body: z.object({ action: z.enum(['approve', 'reject']), note: note().optional() })
+    },
+    'PATCH /admin/certificates/:id/revoke': { summary: 'Revoke a certificate', tags: ['Certificates'], params: certificateParams, body: reasonBody },
+    'POST /admin/categories': { summary: 'Create a category', tags: ['Categories'], body: categoryBody },
+    'PUT /admin/categories/:id': { summary: 'Edit a category', tags: ['Categories'], params: idParams('id'), body: categoryBody.partial() },
+    'DELETE /admin/categories/:id': { summary: 'Delete an unused category', tags: ['Categories'], params: idParams('id') },
+    'GET /admin/reviews/reports': { summary: 'Reported reviews awaiting moderation', tags: ['Reviews'] },
+    'PATCH /admin/reviews/:reviewId/moderation': {
+        summary: 'Hide or restore a review', tags: ['Reviews'], params: idParams('reviewId'),
+        body: z.object({ action: z.enum(['hide', 'restore']), note: note().optional() })
+    },
+    'GET /admin/audit': {
+        summary: 'Search the audit log (JSON or CSV)', tags: ['Admin'],
+        query: z.object({
+            actor: z.string().max(200).optional(),
+            action: z.string().max(100).optional(),
+            from: dateTime().optional(),
+            to: dateTime().optional(),
+            format: z.enum(['json', 'csv']).optional(),
+            ...pagination(200)
+        })
+    },
+    'POST /admin/account-deletions/finalize': { summary: 'Delete accounts whose grace period has ended', tags: ['Admin'] },
+    'POST /admin/reconcile-seats': { summary: 'Check (and optionally fix) seat counts', tags: ['Admin'], body: z.object({ fix: flag().optional() }) },
+
+    // --- Earnings & Payouts ---
+    'GET /admin/payouts': {
+        summary: 'Unpaid balance per instructor (JSON or CSV)', tags: ['Earnings'],
+        query: z.object({ currency: currency.optional(), format: z.enum(['json', 'csv']).optional() })
+    },
+    'POST /admin/payouts': {
+        summary: 'Record a payout of an instructor\'s balance', tags: ['Earnings'],
+        body: z.object({ instructorEmail: email(), currency: currency.default('usd'), reference: z.string().trim().max(200).optional(), note: note().optional() })
+    },
+    'GET /admin/payouts/history': {
+        summary: 'Payouts made (JSON or CSV)', tags: ['Earnings'],
+        query: z.object({ instructorEmail: email().optional(), format: z.enum(['json', 'csv']).optional(), ...pagination(200) })
+    },
+    'PUT /admin/instructors/:email/commission': {
+        summary: 'Set an instructor\'s platform commission', tags: ['Earnings'], params: emailParams,
+        body: z.object({ percent: numeric(z.number().min(0).max(100)).nullable() })
+    },
+
+    // --- Payments & Coupons ---
+    'POST /create-payment-intent': {
+        summary: 'Start a Stripe payment for a course', tags: ['Payments'],
+        body: z.object({ courseId: objectId(), cohortId: objectId().optional(), couponCode: z.string().max(32).optional() })
+    },
+    'POST /coupons': {
+        summary: 'Create a coupon', tags: ['Coupons'],
+        body: z.object({ code: z.string().max(32), ...couponFields }).partial().required({ code: true, type: true, value: true })
+    },
+    'GET /coupons': { summary: 'Your coupons (all of them for admins)', tags: ['Coupons'] },
+    'PATCH /coupons/:id': { summary: 'Edit a coupon; the code can\'t change', tags: ['Coupons'], params: idParams('id'), body: z.object(couponFields).partial() },
+    'GET /coupons/:id/redemptions': { summary: 'Who redeemed a coupon', tags: ['Coupons'], params: idParams('id') },
+    'POST /coupons/validate': {
+        summary: 'Preview a coupon discount', tags: ['Coupons'],
+        body: z.object({ code: z.string().min(1).max(32), courseId: objectId(), cohortId: objectId().optional() })
+    },
+    // Stripe signs the raw body, so it is passed through untouched
+    'POST /webhooks/stripe': { summary: 'Stripe webhook receiver', tags: ['Payments'], public: true, raw: true },
+
+    // --- Reviews ---
+    'POST /courses/:id/reviews': { summary: 'Review a course you are enrolled in', tags: ['Reviews'], params: courseId, body: reviewBody },
+    'GET /courses/:id/reviews': {
+        summary: 'Reviews with a rating histogram', tags: ['Reviews'], public: true, params: courseId,
+        query: z.object({ ...pagination(), sort: z.enum(['newest', 'helpful', 'rating_high', 'rating_low']).optional() })
+    },
+    'PUT /courses/:id/reviews/:reviewId': { summary: 'Edit your review', tags: ['Reviews'], params: reviewParams, body: reviewBody.partial() },
+    'DELETE /courses/:id/reviews/:reviewId': { summary: 'Delete a review', tags: ['Reviews'], params: reviewParams },
+    'PUT /courses/:id/reviews/:reviewId/reply': {
+        summary: 'Reply to a review as the course team', tags: ['Reviews'], params: reviewParams, body: z.object({ body: text(5000) })
+    },
+    'DELETE /courses/:id/reviews/:reviewId/reply': { summary: 'Remove a review reply', tags: ['Reviews'], params: reviewParams },
+    'POST /courses/:id/reviews/:reviewId/helpful': { summary: 'Mark a review helpful', tags: ['Reviews'], params: reviewParams },
+    'DELETE /courses/:id/reviews/:reviewId/helpful': { summary: 'Undo a helpful vote', tags: ['Reviews'], params: reviewParams },
+    'POST /courses/:id/reviews/:reviewId/report': { summary: 'Report a review', tags: ['Reviews'], params: reviewParams, body: reasonBody },
+
+    // --- Analytics & Misc ---
+    'GET /instructor/courses/:id/analytics': { summary: 'Enrollment and revenue analytics for a course', tags: ['Analytics'], params: courseId },
+    'GET /instructor/earnings': {
+        summary: 'Your earnings by course and month, balance and payouts', tags: ['Earnings'],
+        query: z.object({ instructorEmail: email().optional(), from: dateTime().optional(), to: dateTime().optional() })
+    },
+    'GET /popular-courses': {
+        summary: 'Most enrolled courses', tags: ['Courses'], public: true, query: z.object({ category: z.string().max(100).optional() })
+    },
+    'GET /docs/openapi.json': { summary: 'This API description', tags: ['Docs'], public: true },
+    'GET /docs': { summary: 'Browsable API reference', tags: ['Docs'], public: true },
+    'GET /': { summary: 'Health check', tags: ['Docs'], public: true }
+};
+
+module.exports = { ROUTE_SCHEMAS };
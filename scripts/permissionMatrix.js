@@ -0,0 +1,89 @@
+// Builds the route × role permission matrix from the guards declared in index.js and the roles in
+// utils/policy.js, and writes it to docs/permission-matrix.md.
+// Usage: node scripts/permissionMatrix.js [--check]
+//   --check  fails if the committed matrix is out of date, an /admin route has no permission guard,
+//            a guard names a permission that utils/policy.js doesn't define, or a route's validate()
+//            call and schemas/routes.js entry are missing or disagree with it
+
+const fs = require('fs');
+const path = require('path');
+const { PERMISSIONS, BUILT_IN_ROLES, roleAllows } = require('../utils/policy');
+const { ROUTE_SCHEMAS } = require('../schemas/routes');
+
+const root = path.join(__dirname, '..');
+const matrixPath = path.join(root, 'docs', 'permission-matrix.md');
+const source = fs.readFileSync(path.join(root, 'index.js'), 'utf8');
+const roles = ['guest', ...Object.keys(BUILT_IN_ROLES)];
+
+const ROUTE_PATTERN = /app\.(get|post|put|patch|delete)\('([^']+)',([^]*?)(?:async )?\(req, res\) =>/g;
+const routes = [...source.matchAll(ROUTE_PATTERN)].map(([, method, route, middleware]) => ({
+    method: method.toUpperCase(), route,
+    authenticated: middleware.includes('verifyJWT'),
+    permission: middleware.match(/requirePermission\('([^']+)'\)/)?.[1] || null,
+    courseAction: middleware.match(/requireCoursePermission\('([^']+)'\)/)?.[1] || null,
+    validates: middleware.match(/validate\('([^']+)'\)/)?.[1] || null
+}));
+
+// ✅ allowed, 🔸 only on courses they own or collaborate on, 🔑 any signed-in user, ❌ denied
+const cell = (route, role) => {
+    if (!route.authenticated) return '✅';
+    if (role === 'guest') return '❌';
+    const granted = BUILT_IN_ROLES[role];
+    if (route.permission) {
+        if (!roleAllows(granted, route.permission)) return '❌';
+        return route.permission.endsWith(':own') && !roleAllows(granted, route.permission.replace(/:own$/, ':any')) ? '🔸' : '✅';
+    }
+    if (route.courseAction) {
+        if (roleAllows(granted, `${route.courseAction}:any`)) return '✅';
+        return roleAllows(granted, `${route.courseAction}:own`) ? '🔸' : '❌';
+    }
+    return '🔑';
+};
+
+const guardLabel = (route) => (
+    route.permission || (route.courseAction && `${route.courseAction} (course)`) || (route.authenticated ? 'signed in' : 'public')
+);
+
+const render = () => [
+    '# Permission Matrix',
+    '',
+    '<!-- Generated by `npm run policy:matrix` from index.js and utils/policy.js. Do not edit by hand. -->',
+    '',
+    '✅ allowed · 🔸 own/collaborating courses only · 🔑 any signed-in user (the handler scopes data to them) · ❌ denied',
+    '',
+    'Custom roles from `/admin/roles` follow the same rules for the permissions they are given.',
+    '',
+    `| Method | Route | Guard | ${roles.join(' | ')} |`,
+    `|--------|-------|-------|${roles.map(() => '---').join('|')}|`,
+    ...routes.map(route => `| ${route.method} | \`${route.route}\` | ${guardLabel(route)} | ${roles.map(role => cell(route, role)).join(' | ')} |`),
+    ''
+].join('\n');
+
+const problems = [];
+routes.forEach(route => {
+    if (route.route.startsWith('/admin') && !route.permission) problems.push(`${route.method} ${route.route} has no requirePermission guard`);
+    if (route.permission && !PERMISSIONS.includes(route.permission)) problems.push(`${route.method} ${route.route} uses unknown permission ${route.permission}`);
+    if (route.courseAction && !PERMISSIONS.includes(`${route.courseAction}:own`)) problems.push(`${route.method} ${route.route} uses unknown course action ${route.courseAction}`);
+    const key = `${route.method} ${route.route}`;
+    if (route.validates !== key) problems.push(`${key} must call validate('${key}')`);
+    else if (!ROUTE_SCHEMAS[key]) problems.push(`${key} has no entry in schemas/routes.js`);
+    else if (Boolean(ROUTE_SCHEMAS[key].public) === route.authenticated) problems.push(`${key} public flag in schemas/routes.js doesn't match its guards`);
+});
+const routeKeys = new Set(routes.map(route => `${route.method} ${route.route}`));
+Object.keys(ROUTE_SCHEMAS).filter(key => !routeKeys.has(key)).forEach(key => problems.push(`schemas/routes.js has ${key} but index.js doesn't`));
+
+const matrix = render();
+if (process.argv.includes('--check')) {
+    const committed = fs.existsSync(matrixPath) ? fs.readFileSync(matrixPath, 'utf8') : '';
+    if (committed !== matrix) problems.push('docs/permission-matrix.md is out of date; run npm run policy:matrix');
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`❌ ${problem}`));
+        process.exit(1);
+    }
+    console.log(`✅ ${routes.length} routes × ${roles.length} roles match the committed matrix.`);
+} else {
+    fs.mkdirSync(path.dirname(matrixPath), { recursive: true });
+    fs.writeFileSync(matrixPath, matrix);
+    problems.forEach(problem => console.warn(`⚠️ ${problem}`));
+    console.log(`✅ Wrote ${routes.length} routes × ${roles.length} roles to docs/permission-matrix.md.`);
+}
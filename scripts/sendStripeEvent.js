@@ -0,0 +1,34 @@
+// Signs a fixture event with STRIPE_WEBHOOK_SECRET and posts it to the local webhook.
+// Usage: node scripts/sendStripeEvent.js <fixture-name> [courseId] [userEmail]
+//   e.g. node scripts/sendStripeEvent.js payment_intent.succeeded 665f1c... student@example.com
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { webhooks } = require('stripe');
+
+const [fixtureName, courseId, userEmail] = process.argv.slice(2);
+const secret = process.env.STRIPE_WEBHOOK_SECRET;
+const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/webhooks/stripe`;
+
+if (!fixtureName || !secret) {
+    console.error("Usage: STRIPE_WEBHOOK_SECRET=whsec_... node scripts/sendStripeEvent.js <fixture-name> [courseId] [userEmail]");
+    process.exit(1);
+}
+
+const fixturePath = path.join(__dirname, '..', 'fixtures', 'stripe', `${fixtureName}.json`);
+const event = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+const object = event.data.object;
+if (courseId) object.metadata.courseId = courseId;
+if (userEmail) object.metadata.userEmail = userEmail;
+
+const payload = JSON.stringify(event);
+const header = webhooks.generateTestHeaderString({ payload, secret });
+
+axios.post(url, payload, { headers: { 'Content-Type': 'application/json', 'Stripe-Signature': header } })
+    .then(res => console.log(`✅ ${res.status}`, res.data))
+    .catch(err => {
+        console.error(`❌ ${err.response?.status || ''}`, err.response?.data || err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,74 @@
+// test/fakeDb.js
+// In-memory stand-in for the MongoDB client, just enough for requests to get through the auth
+// middleware and into route handlers. `findOne`/`find` match seeded documents on plain top-level
+// fields (query operators are ignored); every write succeeds without changing anything, and
+// aggregations and counts come back empty.
+
+const { MongoClient } = require('mongodb');
+
+const isOperatorQuery = (value) => (
+    value !== null && typeof value === 'object' && Object.keys(value).some(key => key.startsWith('$'))
+);
+
+const sameValue = (actual, expected) => {
+    if (expected === null) return actual === null || actual === undefined;
+    if (actual === null || actual === undefined) return false;
+    return String(actual) === String(expected);
+};
+
+const matches = (doc, query = {}) => Object.entries(query).every(([field, expected]) => (
+    field.startsWith('$') || field.includes('.') || isOperatorQuery(expected) || sameValue(doc[field], expected)
+));
+
+// Chainable like a driver cursor; only reading it does anything
+const createCursor = (docs) => {
+    const cursor = new Proxy({}, {
+        get: (target, property) => {
+            if (property === 'toArray') return async () => docs;
+            if (property === 'next') return async () => docs.shift() ?? null;
+            if (property === 'hasNext') return async () => docs.length > 0;
+            if (property === 'close') return async () => {};
+            if (property === Symbol.asyncIterator) return async function* () { yield* docs; };
+            if (property === 'then') return undefined;
+            return () => cursor;
+        }
+    });
+    return cursor;
+};
+
+const createCollection = (docs) => ({
+    docs,
+    findOne: async (query) => docs.find(doc => matches(doc, query)) || null,
+    find: (query) => createCursor(docs.filter(doc => matches(doc, query))),
+    aggregate: () => createCursor([]),
+    countDocuments: async () => 0,
+    estimatedDocumentCount: async () => 0,
+    distinct: async () => [],
+    insertOne: async (doc) => ({ insertedId: doc._id }),
+    insertMany: async (list) => ({ insertedCount: list.length }),
+    updateOne: async () => ({ matchedCount: 0, modifiedCount: 0, upsertedId: null }),
+    updateMany: async () => ({ matchedCount: 0, modifiedCount: 0 }),
+    replaceOne: async () => ({ matchedCount: 0, modifiedCount: 0 }),
+    findOneAndUpdate: async () => null,
+    findOneAndDelete: async () => null,
+    findOneAndReplace: async () => null,
+    deleteOne: async () => ({ deletedCount: 0 }),
+    deleteMany: async () => ({ deletedCount: 0 }),
+    bulkWrite: async () => ({}),
+    createIndex: async () => 'index'
+});
+
+// Routes every MongoClient to one in-memory database. Call before requiring index.js.
+const installFakeDb = () => {
+    const collections = new Map();
+    const collection = (name) => {
+        if (!collections.has(name)) collections.set(name, createCollection([]));
+        return collections.get(name);
+    };
+    const session = { withTransaction: async (fn) => fn(session), endSession: async () => {} };
+    MongoClient.prototype.db = () => ({ collection });
+    MongoClient.prototype.startSession = () => session;
+    return { collection };
+};
+
+module.exports = { installFakeDb };
@@ -0,0 +1,271 @@
+// test/routePermissions.test.js
+// Calls every route as a guest and as each built-in role and checks the outcome against EXPECTED:
+// the sign-in 401 for guests on signed-in routes, 403 for roles the route isn't for, and anything
+// else when allowed (the in-memory database usually makes the handler answer 400 or 404, which is
+// fine here).
+//
+// EXPECTED is kept by hand on purpose. It is the spec the guards in index.js are checked against,
+// so a guard that changes without this table changing fails the test.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'route-permissions-test';
+['API', 'AUTH', 'SEARCH', 'REVIEWS', 'PAYMENT', 'PAYMENT_IP'].forEach(name => { process.env[`RATE_LIMIT_${name}`] = '0'; });
+
+const jwt = require('jsonwebtoken');
+const admin = require('firebase-admin');
+const { installFakeDb } = require('./fakeDb');
+const { BUILT_IN_ROLES } = require('../utils/policy');
+
+const db = installFakeDb();
+if (admin.apps.length === 0) admin.initializeApp({ projectId: 'coursehub-test' });
+console.log = () => {};
+console.warn = () => {};
+const app = require('../index');
+
+const PUBLIC = 'public';
+const SIGNED_IN = 'signed in';
+const ENROLLED = 'enrolled';
+const INSTRUCTOR_OWN = { own: ['instructor'], any: ['admin'] };
+const COURSE_TEAM_OWN = { own: ['instructor', 'co-instructor'], any: ['admin'] };
+
+// PUBLIC, SIGNED_IN (every role; the handler scopes data to the caller), ENROLLED (signed in and
+// enrolled in the course), a list of roles, or { own, any } for course routes: `own` roles only on
+// courses they own or collaborate on
+const EXPECTED = {
+    'POST /jwt': PUBLIC,
+    'POST /auth/refresh': PUBLIC,
+    'POST /logout': PUBLIC,
+    'GET /sessions': SIGNED_IN,
+    'DELETE /sessions/:id': SIGNED_IN,
+    'DELETE /sessions': SIGNED_IN,
+    'GET /users/:email': SIGNED_IN,
+    'PUT /users/:email': SIGNED_IN,
+    'GET /users/:email/export': SIGNED_IN,
+    'POST /users/:email/deletion': SIGNED_IN,
+    'DELETE /users/:email/deletion': SIGNED_IN,
+    'GET /notifications': SIGNED_IN,
+    'GET /notifications/unread-count': SIGNED_IN,
+    'PATCH /notifications/:id/read': SIGNED_IN,
+    'POST /notifications/read-all': SIGNED_IN,
+    'GET /notifications/preferences': SIGNED_IN,
+    'PUT /notifications/preferences': SIGNED_IN,
+    'POST /instructor-applications': SIGNED_IN,
+    'GET /instructor-applications/me': SIGNED_IN,
+    'GET /instructors/:email': PUBLIC,
+    'PUT /instructor-profile': ['instructor', 'admin'],
+
+    'GET /courses': PUBLIC,
+    'GET /categories': PUBLIC,
+    'GET /categories/:slug': PUBLIC,
+    'GET /courses/:id': PUBLIC,
+    'POST /courses': ['instructor', 'admin'],
+    'PUT /course/:id': COURSE_TEAM_OWN,
+    'POST /courses/:id/resubmit': COURSE_TEAM_OWN,
+    'GET /courses/:id/status-history': COURSE_TEAM_OWN,
+    'GET /courses/:id/collaborators': COURSE_TEAM_OWN,
+    'POST /courses/:id/collaborators': INSTRUCTOR_OWN,
+    'DELETE /courses/:id/collaborators/:email': INSTRUCTOR_OWN,
+    'DELETE /courses/:id': INSTRUCTOR_OWN,
+    'GET /courses/:id/cohorts': PUBLIC,
+    'POST /courses/:id/cohorts': COURSE_TEAM_OWN,
+    'PATCH /courses/:id/cohorts/:cohortId': COURSE_TEAM_OWN,
+    'DELETE /courses/:id/cohorts/:cohortId': COURSE_TEAM_OWN,
+
+    'GET /courses/:id/curriculum': PUBLIC,
+    'GET /courses/:id/lessons/:lessonId': ENROLLED,
+    'POST /courses/:id/sections': COURSE_TEAM_OWN,
+    'PUT /courses/:id/sections/:sectionId': COURSE_TEAM_OWN,
+    'DELETE /courses/:id/sections/:sectionId': COURSE_TEAM_OWN,
+    'POST /courses/:id/sections/:sectionId/lessons': COURSE_TEAM_OWN,
+    'PUT /courses/:id/lessons/:lessonId': COURSE_TEAM_OWN,
+    'DELETE /courses/:id/lessons/:lessonId': COURSE_TEAM_OWN,
+
+    'POST /enrollments': SIGNED_IN,
+    'GET /enrolled-status': SIGNED_IN,
+    'GET /my-enrolled-courses/:email': SIGNED_IN,
+    'DELETE /enrollments/:email/:courseId': SIGNED_IN,
+    'POST /refund-requests': SIGNED_IN,
+    'GET /refund-requests': SIGNED_IN,
+    'PATCH /refund-requests/:id': ['instructor', 'admin'],
+    'GET /courses/:id/progress': ENROLLED,
+    'POST /courses/:id/lessons/:lessonId/complete': ENROLLED,
+    'DELETE /courses/:id/lessons/:lessonId/complete': ENROLLED,
+    'PUT /courses/:id/progress/resume': ENROLLED,
+    'POST /courses/:id/certificate': ENROLLED,
+    'GET /my-certificates': SIGNED_IN,
+    'GET /certificates/:id/download': SIGNED_IN,
+    'GET /certificates/:id/verify': PUBLIC,
+    'POST /courses/:id/waitlist': SIGNED_IN,
+    'GET /courses/:id/waitlist/me': SIGNED_IN,
+    'DELETE /courses/:id/waitlist': SIGNED_IN,
+
+    'GET /admin/users': ['admin'],
+    'PATCH /admin/users/:email/role': ['admin'],
+    'GET /admin/courses': ['moderator', 'admin'],
+    'GET /admin/stats': ['admin'],
+    'PATCH /admin/courses/:id/status': ['admin'],
+    'GET /admin/roles': ['admin'],
+    'PUT /admin/roles/:name': ['admin'],
+    'DELETE /admin/roles/:name': ['admin'],
+    'GET /admin/instructor-applications': ['admin'],
+    'PATCH /admin/instructor-applications/:id': ['admin'],
+    'POST /admin/courses/:id/restore': ['admin'],
+    'PATCH /admin/courses/:id/revision': ['admin'],
+    'PATCH /admin/certificates/:id/revoke': ['admin'],
+    'POST /admin/categories': ['admin'],
+    'PUT /admin/categories/:id': ['admin'],
+    'DELETE /admin/categories/:id': ['admin'],
+    'GET /admin/reviews/reports': ['moderator', 'admin'],
+    'PATCH /admin/reviews/:reviewId/moderation': ['moderator', 'admin'],
+    'GET /admin/audit': ['moderator', 'admin'],
+    'POST /admin/account-deletions/finalize': ['admin'],
+    'POST /admin/reconcile-seats': ['admin'],
+    'POST /admin/import/courses': ['admin'],
+    'GET /admin/export/:type': ['admin'],
+    'GET /admin/payouts': ['admin'],
+    'POST /admin/payouts': ['admin'],
+    'GET /admin/payouts/history': ['admin'],
+    'PUT /admin/instructors/:email/commission': ['admin'],
+
+    'POST /create-payment-intent': SIGNED_IN,
+    'POST /coupons': ['instructor', 'admin'],
+    'GET /coupons': ['instructor', 'admin'],
+    'PATCH /coupons/:id': ['instructor', 'admin'],
+    'GET /coupons/:id/redemptions': ['instructor', 'admin'],
+    'POST /coupons/validate': SIGNED_IN,
+    'POST /webhooks/stripe': PUBLIC,
+
+    'POST /courses/:id/reviews': SIGNED_IN,
+    'GET /courses/:id/reviews': PUBLIC,
+    'PUT /courses/:id/reviews/:reviewId': SIGNED_IN,
+    'DELETE /courses/:id/reviews/:reviewId': SIGNED_IN,
+    'PUT /courses/:id/reviews/:reviewId/reply': COURSE_TEAM_OWN,
+    'DELETE /courses/:id/reviews/:reviewId/reply': COURSE_TEAM_OWN,
+    'POST /courses/:id/reviews/:reviewId/helpful': SIGNED_IN,
+    'DELETE /courses/:id/reviews/:reviewId/helpful': SIGNED_IN,
+    'POST /courses/:id/reviews/:reviewId/report': SIGNED_IN,
+    'GET /instructor/courses/:id/analytics': COURSE_TEAM_OWN,
+    'GET /instructor/earnings': ['instructor', 'admin'],
+    'GET /popular-courses': PUBLIC,
+    'GET /docs/openapi.json': PUBLIC,
+    'GET /docs': PUBLIC,
+    'GET /': PUBLIC
+};
+
+const ROLES = Object.keys(BUILT_IN_ROLES);
+const COURSE_ID = new ObjectId();
+const OTHER_ID = new ObjectId().toString();
+const emailOf = (role) => `${role}@example.com`;
+
+// One signed-in user with an active session per role
+const sessions = db.collection('sessions');
+const cookies = Object.fromEntries(ROLES.map(role => {
+    const sid = new ObjectId();
+    sessions.docs.push({ _id: sid, userEmail: emailOf(role), revokedAt: null });
+    db.collection('users').docs.push({ email: emailOf(role), role });
+    return [role, `token=${jwt.sign({ email: emailOf(role), uid: role, sid: sid.toString() }, process.env.JWT_SECRET)}`];
+}));
+const course = { _id: COURSE_ID, courseTitle: 'Permissions 101', seats: 10, price: 0, status: 'approved', deletedAt: null };
+db.collection('courses').docs.push(course);
+
+const setEnrolled = (email) => {
+    db.collection('enrollments').docs.splice(0, Infinity, ...(email ? [{ userEmail: email, courseId: COURSE_ID.toString() }] : []));
+};
+
+const setCourseOwner = (email) => Object.assign(course, {
+    instructorEmail: email || 'someone-else@example.com',
+    collaborators: email ? [{ email, role: 'co-instructor' }] : []
+});
+
+const PARAM_VALUES = { id: COURSE_ID.toString(), courseId: COURSE_ID.toString(), slug: 'web', name: 'support', type: 'courses' };
+// Request bodies for routes that validate before they check enrollment
+const BODIES = {
+    'PUT /courses/:id/progress/resume': { lessonId: OTHER_ID, positionSeconds: 0 }
+};
+
+const buildPath = (route, email) => route.replace(/:(\w+)/g, (_, param) => (
+    param === 'email' ? encodeURIComponent(email) : PARAM_VALUES[param] || OTHER_ID
+));
+
+let server;
+let baseUrl;
+
+const call = async (key, role) => {
+    const [method, route] = key.split(' ');
+    const response = await fetch(`${baseUrl}${buildPath(route, emailOf(role || 'student'))}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(role ? { Cookie: cookies[role] } : {}) },
+        body: ['GET', 'DELETE'].includes(method) ? undefined : JSON.stringify(BODIES[key] || {}),
+        redirect: 'manual'
+    });
+    const body = await response.text();
+    return { status: response.status, message: response.headers.get('content-type')?.includes('json') ? JSON.parse(body).message : null };
+};
+
+// verifyJWT's answer to a request without a token; other 401s come from the handler itself
+// (e.g. /auth/refresh without a refresh token)
+const isSignInRequired = ({ status, message }) => status === 401 && message === 'Unauthorized: No token provided.';
+
+const assertAllowed = (result, who) => assert.ok(
+    result.status !== 403 && !isSignInRequired(result),
+    `${who} should be let through, got ${result.status}`
+);
+const assertForbidden = ({ status }, who) => assert.equal(status, 403, `${who} should get 403, got ${status}`);
+
+describe('route permissions', () => {
+    before(async () => {
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('has an expectation for every route', () => {
+        const routes = app.router.stack
+            .filter(layer => layer.route)
+            .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+        assert.deepEqual(routes.filter(key => !EXPECTED[key]), [], 'routes missing from EXPECTED');
+        assert.deepEqual(Object.keys(EXPECTED).filter(key => !routes.includes(key)), [], 'EXPECTED lists routes that no longer exist');
+    });
+
+    for (const [key, expected] of Object.entries(EXPECTED)) {
+        it(key, async () => {
+            setCourseOwner(null);
+            setEnrolled(null);
+            const guest = await call(key, null);
+            if (expected === PUBLIC) assertAllowed(guest, 'guest');
+            else assert.ok(isSignInRequired(guest), `guest should be asked to sign in, got ${guest.status}`);
+
+            if (expected === ENROLLED) assertForbidden(await call(key, 'student'), 'student who is not enrolled');
+            for (const role of ROLES) {
+                if (expected === PUBLIC || expected === SIGNED_IN) {
+                    assertAllowed(await call(key, role), role);
+                } else if (expected === ENROLLED) {
+                    setEnrolled(emailOf(role));
+                    assertAllowed(await call(key, role), `${role} enrolled in the course`);
+                    setEnrolled(null);
+                } else if (Array.isArray(expected)) {
+                    const result = await call(key, role);
+                    if (expected.includes(role)) assertAllowed(result, role);
+                    else assertForbidden(result, role);
+                } else if (expected.any.includes(role)) {
+                    assertAllowed(await call(key, role), `${role} on someone else's course`);
+                } else if (expected.own.includes(role)) {
+                    setCourseOwner(emailOf(role));
+                    assertAllowed(await call(key, role), `${role} on their own course`);
+                    setCourseOwner(null);
+                    assertForbidden(await call(key, role), `${role} on someone else's course`);
+                } else {
+                    setCourseOwner(emailOf(role));
+                    const result = await call(key, role);
+                    setCourseOwner(null);
+                    assertForbidden(result, `${role} (even on their own course)`);
+                }
+            }
+        });
+    }
+});
@@ -0,0 +1,72 @@
+// utils/courseImport.js
+// Maps one imported row (JSON object or CSV line) onto the course schema and validates it.
+//
+// Rows may use the legacy courses.json names: `id` is the external id, `imageURL` the image,
+// `fullDescription` (or `shortDescription` when that's all there is) the description and
+// `timestamp` the creation date. Fields the course schema derives itself (`enrollmentCount`,
+// `rating`, ...) are ignored and listed in the report instead. A row without `price` leaves an
+// existing course's price alone; the importer makes new courses free in that case.
+
+const { z, objectId, email, numeric, httpUrl, dateTime, text } = require('../schemas/common');
+
+const LEGACY_FIELD_NAMES = { id: 'externalId', imageURL: 'image', fullDescription: 'description', timestamp: 'createdAt' };
+
+const MAX_TAGS = 10;
+
+// Arrays pass through; CSV cells hold a JSON array (as exported) or a comma-separated list
+const toTagList = (value) => {
+    if (typeof value !== 'string') return value;
+    if (value.trim().startsWith('[')) {
+        try { return JSON.parse(value); } catch { return value; }
+    }
+    return value.split(',');
+};
+
+const courseImportRow = z.object({
+    externalId: z.preprocess(value => (typeof value === 'number' ? String(value) : value), z.string().trim().min(1).max(100)),
+    courseTitle: text(200),
+    image: httpUrl(),
+    description: text(10000),
+    seats: numeric(z.number().int().min(0)),
+    price: numeric(z.number().min(0)).optional(),
+    duration: text(100),
+    instructorEmail: email(),
+    categoryId: objectId().optional(),
+    category: z.string().trim().max(100).optional(),
+    tags: z.preprocess(toTagList, z.array(z.string().trim().toLowerCase().max(30)))
+        .transform(tags => [...new Set(tags.filter(Boolean))])
+        .refine(tags => tags.length <= MAX_TAGS, `At most ${MAX_TAGS} tags`)
+        .optional(),
+    status: z.enum(['pending', 'approved', 'rejected']).optional(),
+    createdAt: dateTime().optional()
+});
+
+const IMPORTED_FIELDS = [...Object.keys(courseImportRow.shape), ...Object.keys(LEGACY_FIELD_NAMES), 'shortDescription'];
+
+// → { externalId, course, warnings, ignoredFields } or { externalId, errors, ignoredFields }
+const mapCourseRow = (raw) => {
+    const row = {};
+    const ignoredFields = [];
+    for (const [field, value] of Object.entries(raw || {})) {
+        if (!IMPORTED_FIELDS.includes(field)) {
+            ignoredFields.push(field);
+            continue;
+        }
+        // Empty CSV cells count as missing
+        if (value === '' || value === null || value === undefined) continue;
+        const name = LEGACY_FIELD_NAMES[field] || field;
+        // The current name wins when a row has both
+        if (row[name] === undefined || !LEGACY_FIELD_NAMES[field]) row[name] = value;
+    }
+    if (row.description === undefined && row.shortDescription !== undefined) row.description = row.shortDescription;
+    delete row.shortDescription;
+
+    const externalId = row.externalId != null ? String(row.externalId) : null;
+    const result = courseImportRow.safeParse(row);
+    if (!result.success) {
+        return { externalId, ignoredFields, errors: result.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message })) };
+    }
+    return { externalId: result.data.externalId, course: result.data, warnings: [], ignoredFields };
+};
+
+module.exports = { LEGACY_FIELD_NAMES, courseImportRow, mapCourseRow };
@@ -0,0 +1,57 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV reading and writing for admin imports and exports.
+
+// Quotes a value when it contains a delimiter, quote or newline. Objects are written as JSON.
+// Values starting with =, +, - or @ get a leading apostrophe so spreadsheets don't run them as formulas;
+// numbers (such as a negative balance) are left as they are.
+const NUMERIC_LITERAL = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+const csvEscape = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value)
+        : String(value);
+    if (/^[=+\-@]/.test(text) && typeof value !== 'number' && !NUMERIC_LITERAL.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvEscape).join(',')}\r\n`;
+
+// Parses CSV text into one object per line, keyed by the header row. Blank lines are skipped and
+// the apostrophe csvEscape adds in front of formula characters is removed again.
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    const source = text.replace(/^\uFEFF/, '');
+    const endField = () => {
+        record.push(/^'[=+\-@]/.test(field) ? field.slice(1) : field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        if (record.length > 1 || record[0] !== '') records.push(record);
+        record = [];
+    };
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"' && field === '') quoted = true;
+        else if (char === ',') endField();
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRecord();
+        } else field += char;
+    }
+    if (quoted) throw new Error('Unterminated quoted field');
+    if (field !== '' || record.length > 0) endRecord();
+    const [header = [], ...rows] = records;
+    const columns = header.map(column => column.trim());
+    return rows.map(values => Object.fromEntries(columns.map((column, index) => [column, values[index] ?? ''])));
+};
+
+module.exports = { csvEscape, csvRow, parseCsv };
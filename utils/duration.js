@@ -0,0 +1,23 @@
+// utils/duration.js
+// Courses store `duration` as free text ("6 weeks", "10 days", "3 months").
+// parseDurationWeeks turns it into a number of weeks so the catalog can filter on it.
+
+const UNIT_WEEKS = {
+    hour: 1 / 168, hr: 1 / 168,
+    day: 1 / 7,
+    week: 1, wk: 1,
+    month: 52 / 12, mo: 52 / 12,
+    year: 52, yr: 52
+};
+
+const parseDurationWeeks = (duration) => {
+    if (typeof duration === 'number') return duration;
+    if (typeof duration !== 'string') return null;
+    const match = duration.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]+)/);
+    if (!match) return null;
+    const unit = Object.keys(UNIT_WEEKS).find(key => match[2].startsWith(key));
+    if (!unit) return null;
+    return Math.round(parseFloat(match[1]) * UNIT_WEEKS[unit] * 100) / 100;
+};
+
+module.exports = { parseDurationWeeks };
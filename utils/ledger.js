@@ -0,0 +1,36 @@
+// utils/ledger.js
+// Builds instructor earnings ledger entries. Amounts are integer cents in the payment's currency.
+// A sale credits the instructor with the price minus the platform commission. A refund debits the
+// refunded amount and gives back the commission on it, at the rate the sale was booked with.
+// `payoutId` stays null until the entry is covered by a payout.
+
+const commissionOf = (cents, percent) => Math.round(cents * percent / 100);
+
+const buildSaleEntry = ({ paymentIntentId, instructorEmail, courseId, cohortId = null, courseTitle, userEmail, currency, amountCents, commissionPercent, createdAt = new Date() }) => {
+    const commissionCents = commissionOf(amountCents, commissionPercent);
+    return {
+        type: 'sale', paymentIntentId, instructorEmail, courseId, cohortId, courseTitle, userEmail,
+        currency: (currency || 'usd').toLowerCase(),
+        grossCents: amountCents, commissionPercent, commissionCents, netCents: amountCents - commissionCents,
+        payoutId: null, createdAt
+    };
+};
+
+// `refundedToDateCents` is Stripe's running total for the charge; only the part not yet in the
+// ledger is booked. Returns null when there's nothing new.
+const buildRefundEntry = (sale, { refundedToDateCents, alreadyRefundedCents, createdAt = new Date() }) => {
+    const refundCents = Math.min(refundedToDateCents, sale.grossCents) - alreadyRefundedCents;
+    if (refundCents <= 0) return null;
+    const commissionCents = commissionOf(refundCents, sale.commissionPercent);
+    return {
+        type: 'refund', paymentIntentId: sale.paymentIntentId, instructorEmail: sale.instructorEmail,
+        courseId: sale.courseId, cohortId: sale.cohortId ?? null, courseTitle: sale.courseTitle, userEmail: sale.userEmail, currency: sale.currency,
+        grossCents: -refundCents, commissionPercent: sale.commissionPercent, commissionCents: -commissionCents,
+        netCents: -(refundCents - commissionCents), refundedToDateCents,
+        payoutId: null, createdAt
+    };
+};
+
+const formatCents = (cents) => (cents / 100).toFixed(2);
+
+module.exports = { buildSaleEntry, buildRefundEntry, formatCents };
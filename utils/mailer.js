@@ -0,0 +1,44 @@
+// utils/mailer.js
+// Email transports. Each one is `{ name, send({ to, subject, text, html }) → Promise }`, so a new
+// provider only needs that one method.
+//   console – logs a one-line summary (development default)
+//   file    – writes each message as an .eml file into `outboxDir`, for inspecting in dev/tests
+//   smtp    – sends through nodemailer using an SMTP connection URL
+//   none    – drops everything
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_TRANSPORTS = ['console', 'file', 'smtp', 'none'];
+
+const createMailTransport = ({ type = 'console', from, smtpUrl, outboxDir = 'mail-outbox' } = {}) => {
+    if (type === 'none') return { name: 'none', send: async () => {} };
+    if (type === 'console') {
+        return {
+            name: 'console',
+            send: async ({ to, subject }) => console.log(`📧 [mail] to ${to}: ${subject}`)
+        };
+    }
+    if (type === 'file') {
+        // Builds the full RFC 822 message without sending it anywhere
+        const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+        return {
+            name: 'file',
+            send: async (message) => {
+                const { message: raw } = await builder.sendMail({ from, ...message });
+                await fs.promises.mkdir(outboxDir, { recursive: true });
+                const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.eml`;
+                await fs.promises.writeFile(path.join(outboxDir, fileName), raw);
+            }
+        };
+    }
+    if (type === 'smtp') {
+        if (!smtpUrl) throw new Error('SMTP_URL is required for the smtp mail transport');
+        const smtp = nodemailer.createTransport(smtpUrl);
+        return { name: 'smtp', send: (message) => smtp.sendMail({ from, ...message }) };
+    }
+    throw new Error(`Unknown mail transport "${type}" (use ${MAIL_TRANSPORTS.join(', ')})`);
+};
+
+module.exports = { MAIL_TRANSPORTS, createMailTransport };
@@ -0,0 +1,127 @@
+// utils/notifications.js
+// Notification types and their templates. Every notification lands in the recipient's in-app inbox;
+// it is also emailed unless the recipient turned email off for that type.
+//
+// `render(data)` returns the inbox entry: { title, body, link }. `link` is a path on the client app.
+// `audience` (a permission) means the notification goes to every user whose role grants it,
+// instead of to the `to` address passed to `notify`.
+
+const quote = (title) => `"${title || 'Untitled course'}"`;
+
+const NOTIFICATION_TYPES = {
+    'course.submitted': {
+        description: 'A course is waiting for approval',
+        audience: 'course:approve',
+        render: ({ courseId, courseTitle, instructorEmail, resubmitted }) => ({
+            title: resubmitted ? 'Course resubmitted for review' : 'New course awaiting review',
+            body: `${quote(courseTitle)} by ${instructorEmail} is waiting for approval.`,
+            link: `/courses/${courseId}`
+        })
+    },
+    'course.approved': {
+        description: 'Your course was approved',
+        render: ({ courseId, courseTitle, note }) => ({
+            title: 'Your course was approved',
+            body: `${quote(courseTitle)} is now live in the catalog.${note ? ` Note from the reviewer: ${note}` : ''}`,
+            link: `/courses/${courseId}`
+        })
+    },
+    'course.rejected': {
+        description: 'Your course was rejected',
+        render: ({ courseId, courseTitle, note }) => ({
+            title: 'Your course needs changes',
+            body: `${quote(courseTitle)} was not approved. Reviewer's note: ${note}`,
+            link: `/courses/${courseId}`
+        })
+    },
+    'course.revision_approved': {
+        description: 'Edits to your live course were approved',
+        render: ({ courseId, courseTitle }) => ({
+            title: 'Course changes approved',
+            body: `Your changes to ${quote(courseTitle)} are now live.`,
+            link: `/courses/${courseId}`
+        })
+    },
+    'course.revision_rejected': {
+        description: 'Edits to your live course were rejected',
+        render: ({ courseId, courseTitle, note }) => ({
+            title: 'Course changes rejected',
+            body: `Your changes to ${quote(courseTitle)} were not approved. Reviewer's note: ${note}`,
+            link: `/courses/${courseId}`
+        })
+    },
+    'enrollment.confirmed': {
+        description: 'You enrolled in a course',
+        render: ({ courseId, courseTitle, cohortName, cohortStartDate }) => ({
+            title: 'Enrollment confirmed',
+            body: cohortName
+                ? `You're enrolled in ${quote(courseTitle)}, cohort ${cohortName}, starting ${new Date(cohortStartDate).toUTCString()}. Happy learning!`
+                : `You're enrolled in ${quote(courseTitle)}. Happy learning!`,
+            link: `/courses/${courseId}`
+        })
+    },
+    'waitlist.seat_offered': {
+        description: 'A seat opened up in a course you are waiting for',
+        render: ({ courseId, courseTitle, holdExpiresAt }) => ({
+            title: 'A seat is waiting for you',
+            body: `A seat in ${quote(courseTitle)} is held for you until ${new Date(holdExpiresAt).toUTCString()}. Enroll before then to keep it.`,
+            link: `/courses/${courseId}`
+        })
+    },
+    'refund.issued': {
+        description: 'Your refund was issued',
+        render: ({ courseId, courseTitle, amount, currency }) => ({
+            title: 'Refund issued',
+            body: `Your refund of ${(amount / 100).toFixed(2)} ${String(currency || '').toUpperCase()} for ${quote(courseTitle)} is on its way.`,
+            link: `/courses/${courseId}`
+        })
+    },
+    'payout.paid': {
+        description: 'A payout of your earnings was sent',
+        render: ({ amountCents, currency, reference }) => ({
+            title: 'Payout sent',
+            body: `A payout of ${(amountCents / 100).toFixed(2)} ${String(currency).toUpperCase()} is on its way${reference ? ` (reference ${reference})` : ''}.`,
+            link: null
+        })
+    },
+    'refund.denied': {
+        description: 'Your refund request was denied',
+        render: ({ courseId, courseTitle, note }) => ({
+            title: 'Refund request denied',
+            body: `Your refund request for ${quote(courseTitle)} was denied. Note: ${note}`,
+            link: `/courses/${courseId}`
+        })
+    }
+};
+
+const NOTIFICATION_TYPE_NAMES = Object.keys(NOTIFICATION_TYPES);
+
+// Email is on for every type except those in the user's `emailDisabled` list.
+// (Stored as a list because the type names contain dots, which can't be used as field names.)
+const resolveEmailPreferences = (emailDisabled = []) => Object.fromEntries(
+    NOTIFICATION_TYPE_NAMES.map(type => [type, !emailDisabled.includes(type)])
+);
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+// Wraps an inbox entry in the CourseHub email layout
+const renderNotificationEmail = ({ title, body, link }, { appUrl = '', recipientName } = {}) => {
+    const url = link ? `${appUrl}${link}` : null;
+    const greeting = recipientName ? `Hi ${recipientName},` : 'Hi,';
+    const footer = 'You can choose which emails you get in your notification settings.';
+    return {
+        subject: `CourseHub: ${title}`,
+        text: [greeting, '', body, ...(url ? ['', url] : []), '', '--', footer].join('\n'),
+        html: `<div style="font-family:sans-serif;max-width:560px">
+  <h2>${escapeHtml(title)}</h2>
+  <p>${escapeHtml(greeting)}</p>
+  <p>${escapeHtml(body)}</p>
+  ${url ? `<p><a href="${escapeHtml(url)}">Open in CourseHub</a></p>` : ''}
+  <p style="color:#888;font-size:12px">${footer}</p>
+</div>`
+    };
+};
+
+module.exports = { NOTIFICATION_TYPES, NOTIFICATION_TYPE_NAMES, resolveEmailPreferences, renderNotificationEmail };
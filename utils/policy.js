@@ -0,0 +1,68 @@
+// utils/policy.js
+// Central authorization policy: which permissions each role grants.
+//
+// Permissions are `<resource>:<action>`. Course-scoped actions come in two flavours:
+// `<resource>:<action>:own` (courses you own or collaborate on) and `<resource>:<action>:any`.
+// `:any` implies `:own`, `<resource>:*` grants every action on a resource and `*` grants everything.
+// Roles beyond the built-in ones are stored in the `roles` collection (see /admin/roles).
+
+const PERMISSIONS = [
+    'course:create',
+    'course:edit:own', 'course:edit:any',
+    'course:delete:own', 'course:delete:any',
+    'course:analytics:own', 'course:analytics:any',
+    'course:collaborators:own', 'course:collaborators:any',
+    'course:view:any',
+    'course:approve',
+    'course:restore',
+    'course:import',
+    'review:reply:own', 'review:reply:any',
+    'review:moderate',
+    'coupon:manage:own', 'coupon:manage:any',
+    'refund:decide:own', 'refund:decide:any',
+    'earnings:view:own', 'earnings:view:any',
+    'payout:manage',
+    'certificate:manage',
+    'category:manage',
+    'instructor:profile',
+    'instructor_application:review',
+    'user:manage',
+    'role:manage',
+    'audit:read',
+    'stats:view',
+    'data:export',
+    'system:maintain'
+];
+
+const BUILT_IN_ROLES = {
+    student: [],
+    instructor: [
+        'course:create', 'course:edit:own', 'course:delete:own', 'course:analytics:own', 'course:collaborators:own',
+        'review:reply:own', 'coupon:manage:own', 'refund:decide:own', 'instructor:profile', 'earnings:view:own'
+    ],
+    // Helps run courses they are added to as a collaborator; can't create, delete or sell
+    'co-instructor': ['course:edit:own', 'course:analytics:own', 'review:reply:own'],
+    moderator: ['review:moderate', 'course:view:any', 'audit:read'],
+    admin: ['*']
+};
+
+// Actions a collaborator may take on a course they don't own
+const COLLABORATOR_ACTIONS = ['course:edit', 'course:analytics', 'review:reply'];
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+const isKnownPermission = (permission) => (
+    permission === '*' || PERMISSIONS.includes(permission) ||
+    (/^[a-z_]+:\*$/.test(permission) && PERMISSIONS.some(p => p.startsWith(permission.slice(0, -1))))
+);
+
+const roleAllows = (granted, permission) => {
+    if (!Array.isArray(granted) || granted.length === 0) return false;
+    if (granted.includes('*') || granted.includes(permission)) return true;
+    const [resource] = permission.split(':');
+    if (granted.includes(`${resource}:*`)) return true;
+    if (permission.endsWith(':own')) return granted.includes(`${permission.slice(0, -4)}:any`);
+    return false;
+};
+
+module.exports = { PERMISSIONS, BUILT_IN_ROLES, COLLABORATOR_ACTIONS, ROLE_NAME_PATTERN, isKnownPermission, roleAllows };
@@ -0,0 +1,86 @@
+// utils/rateLimit.js
+// Fixed-window rate limiting. Each limiter counts requests per key (client IP or signed-in user)
+// in a store: in-memory for development, or Redis so every server instance shares the counts.
+//
+// A store is `{ increment(key, windowMs) → Promise<{ count, resetAt }> }`, so other backends can be
+// plugged in. Responses carry RateLimit-Limit/-Remaining/-Reset and RateLimit-Policy headers, and
+// requests over the limit get a 429 with Retry-After.
+
+const createMemoryStore = () => {
+    const windows = new Map();
+    let nextSweep = 0;
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            // Drop finished windows now and then so the map doesn't grow without bound
+            if (now >= nextSweep) {
+                windows.forEach((window, windowKey) => { if (window.resetAt <= now) windows.delete(windowKey); });
+                nextSweep = now + 60 * 1000;
+            }
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count += 1;
+            return { count: window.count, resetAt: window.resetAt };
+        }
+    };
+};
+
+// `client` is a connected node-redis client (or anything with the same multi/pExpire API)
+const createRedisStore = (client, { prefix = 'ratelimit:' } = {}) => ({
+    async increment(key, windowMs) {
+        const redisKey = prefix + key;
+        const [count, ttl] = await client.multi().incr(redisKey).pTTL(redisKey).exec();
+        let remainingMs = Number(ttl);
+        // First hit of a window (or a key left without expiry): start the window now
+        if (remainingMs < 0) {
+            await client.pExpire(redisKey, windowMs);
+            remainingMs = windowMs;
+        }
+        return { count: Number(count), resetAt: Date.now() + remainingMs };
+    }
+});
+
+// Reads "max/windowSeconds" (e.g. "20/900") from an env value; "0" turns the limiter off
+const parseRateLimit = (value, defaults) => {
+    if (value === undefined || value === '') return defaults;
+    const [max, windowSeconds] = String(value).split('/').map(part => parseInt(part, 10));
+    if (max === 0) return { max: 0, windowSeconds: defaults.windowSeconds };
+    if (!(max > 0)) return defaults;
+    return { max, windowSeconds: windowSeconds > 0 ? windowSeconds : defaults.windowSeconds };
+};
+
+const byIp = (req) => req.ip;
+const byUser = (req) => req.decoded?.email || null;
+
+// `keyBy(req)` returns the key to count under, or null to let the request through uncounted
+const createRateLimiter = (store, { name, max, windowSeconds, keyBy = byIp, message = 'Too many requests, please try again later' }) => {
+    const windowMs = windowSeconds * 1000;
+    return async (req, res, next) => {
+        if (max <= 0) return next();
+        const key = keyBy(req);
+        if (!key) return next();
+        let hit;
+        try {
+            hit = await store.increment(`${name}:${key}`, windowMs);
+        } catch (err) {
+            // A store outage shouldn't take the API down with it
+            console.error(`❌ Rate limit store error (${name}):`, err);
+            return next();
+        }
+        const resetSeconds = Math.max(0, Math.ceil((hit.resetAt - Date.now()) / 1000));
+        res.set('RateLimit-Policy', `${max};w=${windowSeconds}`);
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(0, max - hit.count)));
+        res.set('RateLimit-Reset', String(resetSeconds));
+        if (hit.count > max) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({ error: message, retryAfter: resetSeconds });
+        }
+        next();
+    };
+};
+
+module.exports = { createMemoryStore, createRedisStore, createRateLimiter, parseRateLimit, byIp, byUser };
@@ -0,0 +1,37 @@
+// utils/renderCertificate.js
+// Renders a completion certificate as a standalone SVG (no fonts or images to fetch).
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+});
+
+const renderCertificateSvg = ({ certificateId, studentName, courseTitle, instructorName, completedAt, verifyUrl }) => `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="1123" height="794" viewBox="0 0 1123 794">
+  <rect width="1123" height="794" fill="#ffffff"/>
+  <rect x="24" y="24" width="1075" height="746" fill="none" stroke="#1e3a8a" stroke-width="6"/>
+  <rect x="40" y="40" width="1043" height="714" fill="none" stroke="#93c5fd" stroke-width="2"/>
+  <text x="561.5" y="150" text-anchor="middle" font-family="Georgia, serif" font-size="28" fill="#1e3a8a" letter-spacing="6">COURSEHUB</text>
+  <text x="561.5" y="230" text-anchor="middle" font-family="Georgia, serif" font-size="52" fill="#111827">Certificate of Completion</text>
+  <text x="561.5" y="300" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="20" fill="#4b5563">This certifies that</text>
+  <text x="561.5" y="370" text-anchor="middle" font-family="Georgia, serif" font-size="44" fill="#111827">${escapeXml(studentName)}</text>
+  <text x="561.5" y="430" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="20" fill="#4b5563">has successfully completed</text>
+  <text x="561.5" y="490" text-anchor="middle" font-family="Georgia, serif" font-size="34" fill="#1e3a8a">${escapeXml(courseTitle)}</text>
+  <text x="300" y="610" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="20" fill="#111827">${escapeXml(instructorName)}</text>
+  <line x1="180" y1="625" x2="420" y2="625" stroke="#9ca3af" stroke-width="1"/>
+  <text x="300" y="650" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="16" fill="#6b7280">Instructor</text>
+  <text x="823" y="610" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="20" fill="#111827">${escapeXml(formatDate(completedAt))}</text>
+  <line x1="703" y1="625" x2="943" y2="625" stroke="#9ca3af" stroke-width="1"/>
+  <text x="823" y="650" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="16" fill="#6b7280">Date of Completion</text>
+  <text x="561.5" y="715" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="13" fill="#6b7280">Certificate ID: ${escapeXml(certificateId)}</text>
+${verifyUrl ? `  <text x="561.5" y="738" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="11" fill="#6b7280">Verify at ${escapeXml(verifyUrl)}</text>
+` : ''}</svg>
+`;
+
+module.exports = { renderCertificateSvg };
@@ -0,0 +1,107 @@
+// utils/validation.js
+// Request validation middleware and the OpenAPI document, both driven by schemas/routes.js.
+//
+// Invalid requests get a 400 listing every problem:
+//   { error: 'Validation failed', details: [{ field: 'body.seats', message: '...' }] }
+
+const { z } = require('zod');
+
+const PARTS = ['params', 'query', 'body'];
+
+const formatIssues = (part, issues) => issues.map(issue => ({
+    field: [part, ...issue.path].join('.'),
+    message: issue.message
+}));
+
+// Returns validate('METHOD /path'), which checks and replaces req.params/query/body with the parsed
+// (coerced, unknown-field-stripped) values. An unknown key throws at startup rather than per request.
+const createValidator = (routeSchemas) => (key) => {
+    const route = routeSchemas[key];
+    if (!route) throw new Error(`No request schema for ${key}`);
+    return (req, res, next) => {
+        if (route.raw) return next();
+        const details = [];
+        const parsed = {};
+        for (const part of PARTS) {
+            // Parts without a schema are accepted as empty objects
+            const schema = route[part] || z.object({});
+            const result = schema.safeParse(req[part] ?? {});
+            if (result.success) parsed[part] = result.data;
+            else details.push(...formatIssues(part, result.error.issues));
+        }
+        if (details.length > 0) return res.status(400).json({ error: 'Validation failed', details });
+        req.params = parsed.params;
+        req.body = parsed.body;
+        // Express 5 exposes req.query as a getter, so it has to be redefined rather than assigned
+        Object.defineProperty(req, 'query', { value: parsed.query, writable: true, configurable: true, enumerable: true });
+        next();
+    };
+};
+
+const toJsonSchema = (schema) => {
+    const { $schema, ...jsonSchema } = z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' });
+    return jsonSchema;
+};
+
+const toParameters = (schema, location) => {
+    if (!schema) return [];
+    const { properties = {}, required = [] } = toJsonSchema(schema);
+    return Object.entries(properties).map(([name, property]) => ({
+        name, in: location, required: location === 'path' || required.includes(name), schema: property
+    }));
+};
+
+const VALIDATION_ERROR_RESPONSE = {
+    description: 'Validation failed',
+    content: {
+        'application/json': {
+            schema: {
+                type: 'object',
+                properties: {
+                    error: { type: 'string', example: 'Validation failed' },
+                    details: {
+                        type: 'array',
+                        items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// OpenAPI 3.1 description of every route in `routeSchemas`
+const buildOpenApiDocument = (routeSchemas, { title, version, serverUrl } = {}) => {
+    const paths = {};
+    for (const [key, route] of Object.entries(routeSchemas)) {
+        const [method, routePath] = key.split(' ');
+        const openApiPath = routePath.replace(/:(\w+)/g, '{$1}');
+        const operation = {
+            summary: route.summary,
+            tags: route.tags,
+            parameters: [...toParameters(route.params, 'path'), ...toParameters(route.query, 'query')],
+            responses: { 200: { description: 'OK' } }
+        };
+        if (route.body) {
+            operation.requestBody = { required: true, content: { 'application/json': { schema: toJsonSchema(route.body) } } };
+        }
+        if (!route.raw && (route.params || route.query || route.body)) operation.responses[400] = VALIDATION_ERROR_RESPONSE;
+        if (route.public) operation.security = [];
+        else operation.responses[401] = { description: 'Not signed in, or the session expired' };
+        paths[openApiPath] = { ...paths[openApiPath], [method.toLowerCase()]: operation };
+    }
+    return {
+        openapi: '3.1.0',
+        info: { title: title || 'CourseHub API', version: version || '1.0.0' },
+        servers: serverUrl ? [{ url: serverUrl }] : [],
+        components: {
+            securitySchemes: {
+                // The access token is set as an httpOnly cookie by POST /jwt and POST /auth/refresh
+                cookieAuth: { type: 'apiKey', in: 'cookie', name: 'token' }
+            }
+        },
+        security: [{ cookieAuth: [] }],
+        paths
+    };
+};
+
+module.exports = { createValidator, buildOpenApiDocument };